@@ -0,0 +1,291 @@
+// Checks on PUF files as db/import.js loads them. Each file's header is
+// compared with the columns expected of its PUF type and year, so a column
+// CMS renamed fails the import instead of loading as NULL, and each row is
+// checked for values the site can't use. Rejected rows are left out;
+// suspicious rows load but are counted. Everything found is written to a
+// JSON report after every import, which fails when a table passes the
+// thresholds:
+//   IMPORT_MAX_REJECTED_PERCENT    rejected rows per table (default 1)
+//   IMPORT_MAX_SUSPICIOUS_PERCENT  suspicious rows per table (default 10)
+//   --strict                       fail on missing optional columns too
+const fs = require('fs');
+
+const METAL_LEVELS = ['Bronze', 'Expanded Bronze', 'Silver', 'Gold', 'Platinum', 'Catastrophic', 'High', 'Low'];
+const AGE_BAND = /^(\d{1,2}|0-14|0-20|14 and under|64 and over|64 and older|65 and over|Family Option)$/i;
+const MAX_SAMPLE_LINES = 5;
+
+function toNumber(value) {
+  return value === undefined || value === null || value === '' ? NaN : Number(String(value).replace(/[$,]/g, ''));
+}
+
+function isNumber(value) {
+  return !isNaN(toNumber(value));
+}
+
+// The PlanID_ columns of a Plan ID Crosswalk PUF header, which are named for
+// its two years: [{ key: 'PlanID_2025', year: 2025 }, ...], earliest first
+function crosswalkYears(header) {
+  return header
+    .map(name => /^PlanID_(\d{4})$/i.exec(name))
+    .filter(Boolean)
+    .map(([key, year]) => ({ key, year: Number(year) }))
+    .sort((a, b) => a.year - b.year);
+}
+
+// Row checks return [{ reason, reject }]; reject leaves the row out
+const issue = (reason, reject = false) => ({ reason, reject });
+
+// Expected columns of each PUF type. required may depend on the file's plan
+// year and header; PUFs outside a plan-year folder must carry the year in
+// BusinessYear. Required columns are those pages can't do without.
+const PUF_SCHEMAS = {
+  plans: {
+    name: 'Plan Attributes PUF',
+    required: year => [
+      'PlanId', 'StandardComponentId', 'PlanMarketingName', 'IssuerMarketPlaceMarketingName', 'StateCode',
+      'ServiceAreaId', 'MarketCoverage', 'MetalLevel', 'PlanType', 'TEHBDedInnTier1Individual',
+      'TEHBInnTier1IndividualMOOP', ...(year ? [] : ['BusinessYear']),
+    ],
+    optional: [
+      'HIOSIssuerId', 'IsNewPlan', 'PlanEffectiveDate', 'PlanExpirationDate', 'OutOfCountryCoverage',
+      'NationalNetwork', 'ChildOnlyOffering', 'RatingAreaId', 'TEHBDedInnTier1FamilyPerPerson',
+      'DEHBDedInnTier1Individual', 'DEHBDedInnTier1FamilyPerPerson', 'TEHBInnTier1FamilyPerPersonMOOP',
+      'DEHBInnTier1IndividualMOOP', 'DEHBInnTier1FamilyPerPersonMOOP', 'HSAOrHRAEmployerContribution',
+    ],
+    check: row => [
+      ...(!row.PlanId ? [issue('missing plan ID', true)] : []),
+      ...(row.MetalLevel && !METAL_LEVELS.includes(row.MetalLevel) ? [issue(`unknown metal level "${row.MetalLevel}"`)] : []),
+    ],
+  },
+  service_areas: {
+    name: 'Service Area PUF',
+    required: year => ['ServiceAreaId', 'StateCode', 'County', 'CoverEntireState', ...(year ? [] : ['BusinessYear'])],
+    optional: ['PartialCounty', 'ZipCodes'],
+    check: row => [
+      ...(!row.ServiceAreaId ? [issue('missing service area ID', true)] : []),
+      ...(row.CoverEntireState !== 'Yes' && !row.County ? [issue('no county for a service area not covering the state')] : []),
+    ],
+  },
+  benefits: {
+    name: 'Benefits and Cost Sharing PUF',
+    required: year => ['PlanId', 'BenefitName', 'IsCovered', 'CopayInnTier1', 'CoinsInnTier1', ...(year ? [] : ['BusinessYear'])],
+    optional: ['CopayOutofNet', 'CoinsOutofNet', 'IsEHB', 'QuantLimitOnSvc', 'LimitUnit', 'LimitQty', 'Exclusions', 'Explanation'],
+    check: row => (!row.PlanId || !row.BenefitName ? [issue('missing plan ID or benefit name', true)] : []),
+  },
+  rates: {
+    name: 'Rate PUF',
+    required: year => ['PlanId', 'StateCode', 'RatingAreaId', 'Age', 'IndividualRate', ...(year ? [] : ['BusinessYear'])],
+    optional: ['Tobacco', 'IndividualTobaccoRate'],
+    check: row => {
+      if (!row.PlanId) return [issue('missing plan ID', true)];
+      if (!isNumber(row.IndividualRate)) return [issue('non-numeric rate', true)];
+      return [
+        ...(toNumber(row.IndividualRate) <= 0 ? [issue('rate of zero or less')] : []),
+        ...(row.IndividualTobaccoRate && !isNumber(row.IndividualTobaccoRate) ? [issue('non-numeric tobacco rate')] : []),
+        ...(!AGE_BAND.test(row.Age || '') ? [issue(`unknown age band "${row.Age}"`)] : []),
+      ];
+    },
+  },
+  rating_areas: {
+    name: 'Rating area mapping',
+    required: () => ['StateCode', 'RatingAreaId'],
+    optional: ['County', 'ZipCode'],
+    check: row => (!row.StateCode || !row.RatingAreaId ? [issue('missing state or rating area', true)] : []),
+  },
+  // HUD publishes these with upper or lower case headers
+  zip_counties: {
+    name: 'HUD ZIP-County crosswalk',
+    caseInsensitive: true,
+    required: () => ['ZIP', 'COUNTY'],
+    optional: ['USPS_ZIP_PREF_CITY', 'USPS_ZIP_PREF_STATE', 'RES_RATIO', 'TOT_RATIO'],
+    check: (row) => {
+      const upper = Object.fromEntries(Object.entries(row).map(([key, value]) => [key.toUpperCase(), value]));
+      return [
+        ...(!/^\d{3,5}$/.test(upper.ZIP || '') || !/^\d{4,5}$/.test(upper.COUNTY || '') ? [issue('malformed ZIP or county code', true)] : []),
+        ...(upper.RES_RATIO && !isNumber(upper.RES_RATIO) ? [issue('non-numeric residential ratio')] : []),
+      ];
+    },
+  },
+  // Columns are named for the two years, e.g. PlanID_2025 and PlanID_2026,
+  // whatever folder the file is in
+  plan_crosswalk: {
+    name: 'Plan ID Crosswalk PUF',
+    required: (year, header) => {
+      const years = crosswalkYears(header);
+      return ['State', ...(years.length === 2 ? years.map(y => y.key) : ['PlanID_ of the previous year', 'PlanID_ of the plan year'])];
+    },
+    optional: ['FIPSCode', 'ZipCode', 'CrosswalkLevel', 'ReasonForCrosswalk'],
+    check: () => [],
+  },
+};
+
+function percent(count, total) {
+  return total > 0 ? Math.round((count / total) * 10000) / 100 : 0;
+}
+
+function number(value, fallback) {
+  const num = Number(value);
+  return value !== undefined && value !== '' && !isNaN(num) ? num : fallback;
+}
+
+// { reason: { count, lines } } with the first few line numbers of each
+function tally(counts, reason, line) {
+  const entry = counts[reason] || (counts[reason] = { count: 0, lines: [] });
+  entry.count++;
+  if (line && entry.lines.length < MAX_SAMPLE_LINES) entry.lines.push(line);
+}
+
+function sum(counts) {
+  return Object.values(counts).reduce((total, entry) => total + entry.count, 0);
+}
+
+function createImportReport({ strict = false, env = process.env } = {}) {
+  const thresholds = {
+    rejectedPercent: number(env.IMPORT_MAX_REJECTED_PERCENT, 1),
+    suspiciousPercent: number(env.IMPORT_MAX_SUSPICIOUS_PERCENT, 10),
+    strict,
+  };
+  const startedAt = new Date().toISOString();
+  const files = [];
+  const checks = [];
+
+  return {
+    thresholds,
+
+    // Starts a file of a PUF type, named as it should appear in the report.
+    // The returned file checks the header and each row and counts what it finds.
+    startFile(label, pufType, year) {
+      const schema = PUF_SCHEMAS[pufType];
+      const file = {
+        file: label,
+        puf: schema.name,
+        table: pufType,
+        year: year ? Number(year) : null,
+        columns: null,
+        rows: 0,
+        imported: 0,
+        rejected: {},
+        suspicious: {},
+      };
+      files.push(file);
+
+      return {
+        // Compares the header with the schema and throws when required
+        // columns are missing, or any expected column under --strict
+        checkHeader(header) {
+          const key = name => (schema.caseInsensitive ? name.toLowerCase() : name);
+          const present = new Set(header.map(key));
+          const required = schema.required(file.year, header);
+          const expected = new Set([...required, ...schema.optional].map(key));
+          const missing = names => names.filter(name => !present.has(key(name)));
+          const byLowerCase = new Map(header.map(name => [name.toLowerCase(), name]));
+
+          file.columns = {
+            missing_required: missing(required),
+            missing_optional: missing(schema.optional),
+            unexpected: header.filter(name => !expected.has(key(name)) && !/^PlanID_\d{4}$/i.test(name)),
+          };
+          // A column whose name changed only in case was most likely renamed
+          file.columns.renamed = Object.fromEntries(
+            [...file.columns.missing_required, ...file.columns.missing_optional]
+              .filter(name => byLowerCase.has(name.toLowerCase()))
+              .map(name => [name, byLowerCase.get(name.toLowerCase())])
+          );
+
+          const fatal = strict
+            ? [...file.columns.missing_required, ...file.columns.missing_optional]
+            : file.columns.missing_required;
+          if (fatal.length > 0) {
+            const renamed = fatal.filter(name => file.columns.renamed[name]);
+            throw new Error(`${label} is missing ${schema.name} columns: ${fatal.join(', ')}` +
+              (renamed.length > 0 ? ` (found ${renamed.map(name => file.columns.renamed[name]).join(', ')})` : ''));
+          }
+          if (file.columns.missing_optional.length > 0) {
+            console.log(`  Warning: missing columns ${file.columns.missing_optional.join(', ')} will import as empty`);
+          }
+        },
+
+        // Whether to load a CSV record. line is its line in the file and
+        // badLength whether it had a different number of fields than the header.
+        checkRow(record, line, badLength = false) {
+          file.rows++;
+          const issues = schema.check(record);
+          if (badLength) issues.push(issue('wrong number of columns'));
+          const rejected = issues.find(i => i.reject);
+          if (rejected) {
+            tally(file.rejected, rejected.reason, line);
+            return false;
+          }
+          for (const { reason } of issues) tally(file.suspicious, reason, line);
+          file.imported++;
+          return true;
+        },
+
+        summary() {
+          const rejected = sum(file.rejected);
+          const suspicious = sum(file.suspicious);
+          return rejected + suspicious > 0 ? ` (${rejected.toLocaleString()} rejected, ${suspicious.toLocaleString()} suspicious)` : '';
+        },
+      };
+    },
+
+    // A check on the loaded tables: count rows of table matched reason
+    addCheck(table, reason, count) {
+      checks.push({ table, reason, count: Number(count) });
+      if (Number(count) > 0) console.log(`  Warning: ${Number(count).toLocaleString()} ${table} rows: ${reason}`);
+    },
+
+    // Totals per table with the thresholds each passed
+    tables() {
+      const tables = {};
+      for (const file of files) {
+        const table = tables[file.table] || (tables[file.table] = { rows: 0, imported: 0, rejected: 0, suspicious: 0 });
+        table.rows += file.rows;
+        table.imported += file.imported;
+        table.rejected += sum(file.rejected);
+        table.suspicious += sum(file.suspicious);
+      }
+      for (const { table, count } of checks) {
+        if (tables[table]) tables[table].suspicious += count;
+      }
+      for (const [name, table] of Object.entries(tables)) {
+        table.rejected_percent = percent(table.rejected, table.rows);
+        table.suspicious_percent = percent(table.suspicious, table.imported);
+        table.failures = [
+          ...(table.rejected_percent > thresholds.rejectedPercent
+            ? [`${name}: ${table.rejected_percent}% of rows rejected, more than ${thresholds.rejectedPercent}%`] : []),
+          ...(table.suspicious_percent > thresholds.suspiciousPercent
+            ? [`${name}: ${table.suspicious_percent}% of rows suspicious, more than ${thresholds.suspiciousPercent}%`] : []),
+        ];
+      }
+      return tables;
+    },
+
+    // Reasons the import should fail
+    failures() {
+      return Object.values(this.tables()).flatMap(table => table.failures);
+    },
+
+    // Writes the report; error is what stopped the import, if anything did
+    write(reportPath, { database, error = null } = {}) {
+      const tables = this.tables();
+      const failures = Object.values(tables).flatMap(table => table.failures);
+      const report = {
+        status: error || failures.length > 0 ? 'failed' : 'ok',
+        error: error ? error.message : null,
+        started_at: startedAt,
+        finished_at: new Date().toISOString(),
+        database,
+        thresholds,
+        failures,
+        tables,
+        checks,
+        files,
+      };
+      fs.writeFileSync(reportPath, JSON.stringify(report, null, 2) + '\n');
+      return report;
+    },
+  };
+}
+
+module.exports = { PUF_SCHEMAS, crosswalkYears, createImportReport };
@@ -0,0 +1,221 @@
+// Where db/import.js writes. Each import goes to a fresh copy of the schema
+// and is swapped in for the live data only once every file has loaded, so
+// the running site keeps serving the previous import until then:
+//   SQLite      plans.db.importing, renamed over plans.db
+//   PostgreSQL  tables in the import_staging schema, loaded with COPY and
+//               moved into the live schema in one transaction
+// Targets share one interface: load(table, columns, rows, { key }) for CSV rows,
+// keep(table) to carry a table over from the live data unchanged, exec, run
+// and query for SQL with ? placeholders, then finish() or abort().
+const fs = require('fs');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { stringify } = require('csv-stringify');
+const { from: copyFrom } = require('pg-copy-streams');
+const { initDatabase } = require('./init');
+const { postgresContext, migrate } = require('./migrator');
+
+const BATCH_SIZE = 1000;
+const STAGING_SCHEMA = 'import_staging';
+
+async function sqliteTarget(dbPath) {
+  const stagingPath = `${dbPath}.importing`;
+  if (fs.existsSync(stagingPath)) fs.unlinkSync(stagingPath);
+  const db = await initDatabase(stagingPath);
+  let attached = false;
+
+  return {
+    isPostgres: false,
+
+    // Rows with a primary key already loaded replace the earlier row
+    async load(table, columns, rows) {
+      const insert = db.prepare(
+        `INSERT OR REPLACE INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`
+      );
+      const insertBatch = db.transaction((batch) => {
+        for (const row of batch) {
+          insert.run(...row);
+        }
+      });
+
+      let batch = [];
+      for await (const row of rows) {
+        batch.push(row);
+        if (batch.length >= BATCH_SIZE) {
+          insertBatch(batch);
+          batch = [];
+        }
+      }
+      if (batch.length > 0) insertBatch(batch);
+    },
+
+    // Copies the columns the live table shares with the new schema
+    async keep(table) {
+      if (!attached) {
+        db.prepare('ATTACH DATABASE ? AS live').run(dbPath);
+        attached = true;
+      }
+      const liveColumns = db.prepare("SELECT name FROM pragma_table_info(?, 'live')").all(table).map(c => c.name);
+      const columns = db.prepare("SELECT name FROM pragma_table_info(?, 'main')").all(table)
+        .map(c => c.name)
+        .filter(name => liveColumns.includes(name))
+        .join(', ');
+      db.exec(`INSERT INTO main.${table} (${columns}) SELECT ${columns} FROM live.${table}`);
+    },
+
+    async exec(sql) {
+      db.exec(sql);
+    },
+
+    // Number of rows changed
+    async run(sql, params = []) {
+      return db.prepare(sql).run(...params).changes;
+    },
+
+    async query(sql, params = []) {
+      return db.prepare(sql).all(...params);
+    },
+
+    async finish() {
+      db.close();
+      fs.renameSync(stagingPath, dbPath);
+    },
+
+    async abort() {
+      db.close();
+      if (fs.existsSync(stagingPath)) fs.unlinkSync(stagingPath);
+    },
+  };
+}
+
+async function postgresTarget(pool) {
+  const client = await pool.connect();
+  const toPg = sql => {
+    let i = 0;
+    return sql.replace(/\?/g, () => `$${++i}`);
+  };
+
+  // The import runs with search_path on the staging schema; the pooled
+  // connection goes back with its default, or is closed when that fails
+  const release = async () => {
+    try {
+      await client.query('RESET search_path');
+      client.release();
+    } catch (err) {
+      client.release(err);
+    }
+  };
+
+  let liveSchema;
+  try {
+    // The live schema is migrated first; the staging copy is built by the
+    // same migrations, so its tables, indexes and search column match
+    await migrate(postgresContext(client));
+    liveSchema = (await client.query('SELECT current_schema() AS schema')).rows[0].schema;
+    await client.query(`
+      DROP SCHEMA IF EXISTS ${STAGING_SCHEMA} CASCADE;
+      CREATE SCHEMA ${STAGING_SCHEMA};
+      SET search_path TO ${STAGING_SCHEMA};
+    `);
+    await migrate(postgresContext(client));
+  } catch (err) {
+    await release();
+    throw err;
+  }
+
+  return {
+    isPostgres: true,
+
+    // Streams rows into the table with COPY. Tables keyed by columns other
+    // than a generated id are copied into a temporary table first, numbered
+    // in file order, so the last row with a key wins, as on SQLite.
+    async load(table, columns, rows, { key = null } = {}) {
+      const columnList = columns.join(', ');
+      const keyColumns = key ? [].concat(key) : [];
+      const keyList = keyColumns.join(', ');
+      const copyTable = key ? `load_${table}` : table;
+      if (key) {
+        await client.query(`CREATE TEMP TABLE ${copyTable} AS SELECT ${columnList} FROM ${table} WITH NO DATA`);
+        await client.query(`ALTER TABLE ${copyTable} ADD COLUMN load_order BIGSERIAL`);
+      }
+
+      await pipeline(
+        Readable.from(rows),
+        stringify(),
+        client.query(copyFrom(`COPY ${copyTable} (${columnList}) FROM STDIN WITH (FORMAT csv)`))
+      );
+
+      if (key) {
+        const updates = columns.filter(c => !keyColumns.includes(c)).map(c => `${c} = EXCLUDED.${c}`).join(', ');
+        await client.query(`
+          INSERT INTO ${table} (${columnList})
+          SELECT DISTINCT ON (${keyList}) ${columnList} FROM ${copyTable} ORDER BY ${keyList}, load_order DESC
+          ON CONFLICT (${keyList}) DO UPDATE SET ${updates}
+        `);
+        await client.query(`DROP TABLE ${copyTable}`);
+      }
+    },
+
+    // Copies the columns the live table shares with the new schema, leaving
+    // out generated ones
+    async keep(table) {
+      const { rows } = await client.query(`
+        SELECT s.column_name FROM information_schema.columns s
+        JOIN information_schema.columns l
+          ON l.table_schema = $2 AND l.table_name = s.table_name AND l.column_name = s.column_name
+        WHERE s.table_schema = $1 AND s.table_name = $3 AND s.is_generated = 'NEVER'
+        ORDER BY s.ordinal_position
+      `, [STAGING_SCHEMA, liveSchema, table]);
+      const columns = rows.map(r => r.column_name).join(', ');
+      await client.query(`INSERT INTO ${STAGING_SCHEMA}.${table} (${columns}) SELECT ${columns} FROM ${liveSchema}.${table}`);
+    },
+
+    async exec(sql) {
+      await client.query(sql);
+    },
+
+    async run(sql, params = []) {
+      return (await client.query(toPg(sql), params)).rowCount;
+    },
+
+    async query(sql, params = []) {
+      return (await client.query(toPg(sql), params)).rows;
+    },
+
+    // Replaces each live table with its staging copy. Pages being served
+    // wait on the swap's locks rather than seeing a partial import.
+    async finish() {
+      try {
+        const { rows } = await client.query(`
+          SELECT table_name FROM information_schema.tables
+          WHERE table_schema = $1 AND table_type = 'BASE TABLE' AND table_name <> 'schema_migrations'
+        `, [STAGING_SCHEMA]);
+
+        await client.query('BEGIN');
+        try {
+          for (const { table_name: table } of rows) {
+            await client.query(`DROP TABLE IF EXISTS ${liveSchema}.${table} CASCADE`);
+            await client.query(`ALTER TABLE ${STAGING_SCHEMA}.${table} SET SCHEMA ${liveSchema}`);
+          }
+          await client.query('COMMIT');
+        } catch (err) {
+          await client.query('ROLLBACK');
+          throw err;
+        }
+        await client.query(`DROP SCHEMA ${STAGING_SCHEMA} CASCADE`);
+      } finally {
+        await release();
+      }
+    },
+
+    async abort() {
+      try {
+        await client.query(`DROP SCHEMA IF EXISTS ${STAGING_SCHEMA} CASCADE`);
+      } finally {
+        await release();
+      }
+    },
+  };
+}
+
+module.exports = { sqliteTarget, postgresTarget };
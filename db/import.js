@@ -1,13 +1,21 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { parse } = require('csv-parse');
-const { initDatabase } = require('./init');
+const { parse: parseSync } = require('csv-parse/sync');
+const { query, isPostgres, getPool } = require('./init');
+const { sqliteTarget, postgresTarget } = require('./import-targets');
+const { crosswalkYears, createImportReport } = require('./import-report');
+const { normalizeRatingArea } = require('../services/rating-area');
+const { stateForFips } = require('../services/counties');
 
 const dataDir = path.join(__dirname, '..', 'data');
+const fipsPath = path.join(dataDir, 'fips-codes.csv');
+const reportPath = process.env.IMPORT_REPORT || path.join(__dirname, '..', 'import-report.json');
+const report = createImportReport({ strict: process.argv.includes('--strict') });
 
 // Load FIPS to county name mapping
 function loadFipsMapping() {
-  const fipsPath = path.join(dataDir, 'fips-codes.csv');
   const fipsMap = {};
 
   if (!fs.existsSync(fipsPath)) {
@@ -34,85 +42,147 @@ function loadFipsMapping() {
   return fipsMap;
 }
 
-async function importCSV(filePath, tableName, columnMap, db, transform = null) {
-  return new Promise((resolve, reject) => {
-    const records = [];
-    let count = 0;
-    const batchSize = 1000;
+// CSV files in data/ whose lowercased names pass matches. With planYears,
+// also those in plan-year folders such as data/2026/, since each year's PUFs
+// have the same file names.
+function findDataFiles(matches, { planYears = false } = {}) {
+  const dirs = [dataDir];
+  if (planYears) {
+    for (const name of fs.readdirSync(dataDir).sort()) {
+      if (/^\d{4}$/.test(name) && fs.statSync(path.join(dataDir, name)).isDirectory()) {
+        dirs.push(path.join(dataDir, name));
+      }
+    }
+  }
+  return dirs.flatMap(dir => fs.readdirSync(dir)
+    .filter(f => f.endsWith('.csv') && matches(f.toLowerCase()))
+    .map(f => path.join(dir, f)));
+}
 
-    const columns = Object.keys(columnMap);
-    const placeholders = columns.map(() => '?').join(', ');
-    const insertSQL = `INSERT OR REPLACE INTO ${tableName} (${columns.join(', ')}) VALUES (${placeholders})`;
-    const insert = db.prepare(insertSQL);
+// The source files of each table
+const sources = {
+  plans: () => findDataFiles(f => f.includes('plan') && f.includes('attribute'), { planYears: true }),
+  counties: () => (fs.existsSync(fipsPath) ? [fipsPath] : []),
+  service_areas: () => findDataFiles(f => f.includes('service') && f.includes('area'), { planYears: true }),
+  zip_counties: () => findDataFiles(f => f.includes('zip') && f.includes('county') && !f.includes('rating')),
+  benefits: () => findDataFiles(f => f.includes('benefit'), { planYears: true }),
+  rates: () => findDataFiles(f => f.includes('rate'), { planYears: true }),
+  rating_areas: () => findDataFiles(f => f.includes('rating') && f.includes('area')),
+  plan_crosswalk: () => findDataFiles(f => f.includes('crosswalk') && !f.includes('zip'), { planYears: true }),
+};
+
+// Rows loaded from each source file, keyed by table and file
+const rowCounts = new Map();
+
+// The plan year in a file's folder or name, e.g. data/2026/Rate_PUF.csv
+function fileYear(filePath) {
+  const match = /(?:^|\D)(20\d{2})(?:\D|$)/.exec(path.relative(dataDir, filePath));
+  return match ? match[1] : null;
+}
 
-    const insertBatch = db.transaction((rows) => {
-      for (const row of rows) {
-        insert.run(...row);
+// The plan year of a Plan ID Crosswalk PUF: the later of the two years its
+// PlanID_ columns are named for
+function crosswalkFileYear(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  const buffer = Buffer.alloc(64 * 1024);
+  let text;
+  try {
+    text = buffer.toString('utf8', 0, fs.readSync(fd, buffer, 0, buffer.length, 0));
+  } finally {
+    fs.closeSync(fd);
+  }
+  const [header = []] = parseSync(text.split(/\r?\n/)[0], { bom: true });
+  const years = crosswalkYears(header);
+  return years.length === 2 ? years[1].year : null;
+}
+
+// The plan year of a source file of a table
+function sourceYear(tableName, filePath) {
+  return tableName === 'plan_crosswalk' ? crosswalkFileYear(filePath) : fileYear(filePath);
+}
+
+// PUF rows carry their plan year in BusinessYear. Files without the column
+// take the year of their folder or file name.
+function withPlanYear(filePath, transform = null) {
+  const name = path.relative(dataDir, filePath);
+  const year = fileYear(filePath);
+
+  return (record) => {
+    const row = transform ? transform(record) : record;
+    if (!row.BusinessYear) {
+      if (!year) {
+        throw new Error(`${name} has no BusinessYear column; move it into a plan-year folder such as data/2026/`);
       }
-    });
-
-    console.log(`Importing ${path.basename(filePath)} into ${tableName}...`);
-
-    const parser = fs
-      .createReadStream(filePath)
-      .pipe(parse({
-        columns: true,
-        skip_empty_lines: true,
-        trim: true,
-        relax_column_count: true,
-      }));
-
-    parser.on('readable', function () {
-      let record;
-      while ((record = parser.read()) !== null) {
-        // Apply transform if provided
-        if (transform) {
-          record = transform(record);
-        }
+      row.BusinessYear = year;
+    }
+    return row;
+  };
+}
 
-        const row = columns.map(col => {
-          const csvCol = columnMap[col];
-          let value = record[csvCol];
-
-          if (value === '' || value === undefined || value === null) {
-            return null;
-          }
-          if (typeof value === 'string') {
-            value = value.trim();
-          }
-          return value;
-        });
-        records.push(row);
-        count++;
-
-        if (records.length >= batchSize) {
-          insertBatch(records);
-          records.length = 0;
-          if (count % 50000 === 0) {
-            console.log(`  Processed ${count.toLocaleString()} rows...`);
-          }
-        }
+// Loads a CSV into a table: columnMap maps table columns to CSV headers and
+// transform may rewrite each record first. Tables keyed by columns other
+// than a generated id pass them as key. The header and rows are checked
+// against the table's PUF schema in db/import-report.js first.
+async function importCSV(filePath, tableName, columnMap, target, transform = null, { key = null } = {}) {
+  const columns = Object.keys(columnMap);
+  const checks = report.startFile(path.relative(dataDir, filePath), tableName, sourceYear(tableName, filePath));
+  let count = 0;
+
+  console.log(`Importing ${path.basename(filePath)} into ${tableName}...`);
+
+  const parser = fs
+    .createReadStream(filePath)
+    .pipe(parse({
+      columns: header => {
+        checks.checkHeader(header);
+        return header;
+      },
+      skip_empty_lines: true,
+      trim: true,
+      relax_column_count: true,
+      info: true,
+    }));
+
+  async function* rows() {
+    let invalidLengths = 0;
+    for await (let { record, info } of parser) {
+      const badLength = info.invalid_field_length > invalidLengths;
+      invalidLengths = info.invalid_field_length;
+      if (!checks.checkRow(record, info.lines, badLength)) continue;
+
+      // Apply transform if provided
+      if (transform) {
+        record = transform(record);
       }
-    });
 
-    parser.on('error', reject);
+      yield columns.map(col => {
+        const csvCol = columnMap[col];
+        let value = record[csvCol];
 
-    parser.on('end', function () {
-      if (records.length > 0) {
-        insertBatch(records);
+        if (value === '' || value === undefined || value === null) {
+          return null;
+        }
+        if (typeof value === 'string') {
+          value = value.trim();
+        }
+        return value;
+      });
+
+      count++;
+      if (count % 50000 === 0) {
+        console.log(`  Processed ${count.toLocaleString()} rows...`);
       }
-      console.log(`  Completed: ${count.toLocaleString()} rows imported`);
-      resolve(count);
-    });
-  });
+    }
+  }
+
+  await target.load(tableName, columns, rows(), { key });
+  rowCounts.set(`${tableName}:${path.relative(dataDir, filePath)}`, count);
+  console.log(`  Completed: ${count.toLocaleString()} rows imported${checks.summary()}`);
+  return count;
 }
 
-async function importPlans(db) {
-  const files = fs.readdirSync(dataDir).filter(f =>
-    f.toLowerCase().includes('plan') &&
-    f.toLowerCase().includes('attribute') &&
-    f.endsWith('.csv')
-  );
+async function importPlans(target) {
+  const files = sources.plans();
 
   if (files.length === 0) {
     console.log('No Plan Attributes PUF file found. Expected filename containing "plan" and "attribute"');
@@ -121,6 +191,7 @@ async function importPlans(db) {
 
   const columnMap = {
     plan_id: 'PlanId',
+    plan_year: 'BusinessYear',
     standard_component_id: 'StandardComponentId',
     plan_marketing_name: 'PlanMarketingName',
     hios_issuer_id: 'HIOSIssuerId',
@@ -149,16 +220,25 @@ async function importPlans(db) {
   };
 
   for (const file of files) {
-    await importCSV(path.join(dataDir, file), 'plans', columnMap, db);
+    await importCSV(file, 'plans', columnMap, target, withPlanYear(file), { key: ['plan_id', 'plan_year'] });
   }
 }
 
-async function importServiceAreas(db, fipsMap) {
-  const files = fs.readdirSync(dataDir).filter(f =>
-    f.toLowerCase().includes('service') &&
-    f.toLowerCase().includes('area') &&
-    f.endsWith('.csv')
-  );
+// Every county in the FIPS file, keyed by FIPS code. Service areas, ZIP
+// codes and pages all refer to a county through this table.
+async function importCounties(target, fipsMap) {
+  const rows = Object.entries(fipsMap)
+    .map(([fips, name]) => [fips, stateForFips(fips), name])
+    .filter(([, state]) => state);
+  await target.load('counties', ['county_fips', 'state_code', 'county_name'], rows, { key: 'county_fips' });
+  if (fs.existsSync(fipsPath)) rowCounts.set(`counties:${path.relative(dataDir, fipsPath)}`, rows.length);
+  console.log(`Imported ${rows.length.toLocaleString()} counties`);
+}
+
+// Service areas list a county by FIPS code, the whole state, or, for
+// partial-county service areas, the county's ZIP codes they serve
+async function importServiceAreas(target, fipsMap) {
+  const files = sources.service_areas();
 
   if (files.length === 0) {
     console.log('No Service Area PUF file found. Expected filename containing "service" and "area"');
@@ -167,30 +247,85 @@ async function importServiceAreas(db, fipsMap) {
 
   const columnMap = {
     service_area_id: 'ServiceAreaId',
+    plan_year: 'BusinessYear',
     state_code: 'StateCode',
+    county_fips: 'CountyFips',
     county_name: 'County',
     cover_entire_state: 'CoverEntireState',
+    partial_county: 'PartialCounty',
+    zip_codes: 'ZipCodes',
   };
 
-  // Transform FIPS codes to county names
+  // Keep the FIPS code and name the county; ZIP lists become "12345,12346"
   const transform = (record) => {
-    if (record.County) {
+    if (record.County && /^\d+$/.test(record.County)) {
       const fips = record.County.padStart(5, '0');
+      record.CountyFips = fips;
       record.County = fipsMap[fips] || record.County;
     }
+    if (record.ZipCodes) {
+      record.ZipCodes = record.ZipCodes.split(/[\s,;]+/).filter(Boolean).map(zip => zip.padStart(5, '0')).join(',');
+    }
     return record;
   };
 
   for (const file of files) {
-    await importCSV(path.join(dataDir, file), 'service_areas', columnMap, db, transform);
+    await importCSV(file, 'service_areas', columnMap, target, withPlanYear(file, transform));
   }
+
+  // Counties missing from the FIPS file keep the code as their name
+  await target.exec(`
+    INSERT INTO counties (county_fips, state_code, county_name)
+    SELECT DISTINCT county_fips, state_code, county_name FROM service_areas
+    WHERE county_fips IS NOT NULL
+    ON CONFLICT (county_fips) DO NOTHING
+  `);
 }
 
-async function importBenefits(db) {
-  const files = fs.readdirSync(dataDir).filter(f =>
-    f.toLowerCase().includes('benefit') &&
-    f.endsWith('.csv')
-  );
+// HUD USPS ZIP-County crosswalk (saved as CSV): the counties each ZIP code
+// reaches into, with each county's share of the ZIP's residential addresses
+async function importZipCounties(target) {
+  const files = sources.zip_counties();
+
+  if (files.length === 0) {
+    console.log('No ZIP-County crosswalk found. Expected filename containing "zip" and "county"; ZIP lookups will use data/zipcodes.json');
+    return;
+  }
+
+  const columnMap = {
+    zip_code: 'ZIP',
+    county_fips: 'COUNTY',
+    state_code: 'STATE',
+    city: 'USPS_ZIP_PREF_CITY',
+    res_ratio: 'RES_RATIO',
+    tot_ratio: 'TOT_RATIO',
+  };
+
+  // Older crosswalks have lowercase headers. A ZIP that crosses a state line
+  // lists counties of both states, so the state comes from the county.
+  const transform = (record) => {
+    const row = {};
+    for (const [key, value] of Object.entries(record)) {
+      row[key.toUpperCase()] = value;
+    }
+    if (row.ZIP) row.ZIP = row.ZIP.padStart(5, '0');
+    if (row.COUNTY) {
+      row.COUNTY = row.COUNTY.padStart(5, '0');
+      row.STATE = stateForFips(row.COUNTY) || row.USPS_ZIP_PREF_STATE;
+    }
+    if (row.USPS_ZIP_PREF_CITY) {
+      row.USPS_ZIP_PREF_CITY = row.USPS_ZIP_PREF_CITY.toLowerCase().replace(/\b[a-z]/g, c => c.toUpperCase());
+    }
+    return row;
+  };
+
+  for (const file of files) {
+    await importCSV(file, 'zip_counties', columnMap, target, transform);
+  }
+}
+
+async function importBenefits(target) {
+  const files = sources.benefits();
 
   if (files.length === 0) {
     console.log('No Benefits PUF file found. Expected filename containing "benefit"');
@@ -199,6 +334,7 @@ async function importBenefits(db) {
 
   const columnMap = {
     plan_id: 'PlanId',
+    plan_year: 'BusinessYear',
     benefit_name: 'BenefitName',
     is_covered: 'IsCovered',
     copay_in_network: 'CopayInnTier1',
@@ -214,15 +350,12 @@ async function importBenefits(db) {
   };
 
   for (const file of files) {
-    await importCSV(path.join(dataDir, file), 'benefits', columnMap, db);
+    await importCSV(file, 'benefits', columnMap, target, withPlanYear(file));
   }
 }
 
-async function importRates(db) {
-  const files = fs.readdirSync(dataDir).filter(f =>
-    f.toLowerCase().includes('rate') &&
-    f.endsWith('.csv')
-  );
+async function importRates(target) {
+  const files = sources.rates();
 
   if (files.length === 0) {
     console.log('No Rate PUF file found. Expected filename containing "rate"');
@@ -231,6 +364,7 @@ async function importRates(db) {
 
   const columnMap = {
     plan_id: 'PlanId',
+    plan_year: 'BusinessYear',
     state_code: 'StateCode',
     rating_area: 'RatingAreaId',
     tobacco: 'Tobacco',
@@ -240,22 +374,226 @@ async function importRates(db) {
   };
 
   for (const file of files) {
-    await importCSV(path.join(dataDir, file), 'rates', columnMap, db);
+    await importCSV(file, 'rates', columnMap, target, withPlanYear(file));
   }
 }
 
-async function main() {
-  console.log('Initializing database...');
+// CMS Plan ID Crosswalk PUF: the plan each of last year's plans renews
+// into. Its columns are named for the two years, e.g. PlanID_2025 and
+// PlanID_2026, so each file's years are read from its header.
+async function importPlanCrosswalk(target) {
+  const files = sources.plan_crosswalk();
+
+  if (files.length === 0) {
+    console.log('No Plan ID Crosswalk PUF found. Expected filename containing "crosswalk"; renewals will not be shown');
+    return;
+  }
+
+  const columnMap = {
+    plan_year: 'PlanYear',
+    state_code: 'State',
+    previous_plan_id: 'PreviousPlanId',
+    plan_id: 'PlanId',
+    county_fips: 'FIPSCode',
+    zip_code: 'ZipCode',
+    crosswalk_level: 'CrosswalkLevel',
+    reason: 'ReasonForCrosswalk',
+  };
+
+  for (const file of files) {
+    // The header check has made sure there are two
+    let years = null;
+    const transform = (record) => {
+      if (!years) years = crosswalkYears(Object.keys(record));
+      const [previous, next] = years;
+      record.PlanYear = next.year;
+      record.PreviousPlanId = (record[previous.key] || '').toUpperCase();
+      record.PlanId = (record[next.key] || '').toUpperCase();
+      if (record.FIPSCode) record.FIPSCode = record.FIPSCode.padStart(5, '0');
+      if (record.ZipCode) record.ZipCode = record.ZipCode.padStart(5, '0');
+      return record;
+    };
+    await importCSV(file, 'plan_crosswalk', columnMap, target, transform);
+  }
+}
 
-  // Delete existing database to start fresh
-  const dbPath = path.join(__dirname, '..', 'plans.db');
-  if (fs.existsSync(dbPath)) {
-    fs.unlinkSync(dbPath);
-    console.log('Removed old database');
+// County/ZIP to rating area mapping, keyed by county FIPS code like service
+// areas. CMS publishes these per state outside the PUFs; states with a
+// single rating area are filled in from the Rate PUF.
+async function importRatingAreas(target, fipsMap) {
+  const files = sources.rating_areas();
+
+  const columnMap = {
+    state_code: 'StateCode',
+    county_fips: 'CountyFips',
+    county_name: 'County',
+    zip_code: 'ZipCode',
+    rating_area: 'RatingAreaId',
+  };
+
+  const fipsByName = new Map(Object.entries(fipsMap)
+    .map(([fips, name]) => [`${stateForFips(fips)}:${name.toLowerCase()}`, fips]));
+
+  // County may be a FIPS code or a name; ZIP may be a 3-digit prefix or a full ZIP
+  const transform = (record) => {
+    if (record.County && /^\d+$/.test(record.County)) {
+      const fips = record.County.padStart(5, '0');
+      record.CountyFips = fips;
+      record.County = fipsMap[fips] || record.County;
+    } else if (record.County) {
+      record.County = record.County.replace(/ County$/i, '');
+      const state = (record.StateCode || '').toUpperCase();
+      record.CountyFips = fipsByName.get(`${state}:${record.County.toLowerCase()}`) || null;
+    }
+    if (record.ZipCode && /^\d+$/.test(record.ZipCode)) {
+      record.ZipCode = record.ZipCode.length > 3 ? record.ZipCode.padStart(5, '0') : record.ZipCode.padStart(3, '0');
+    }
+    record.RatingAreaId = normalizeRatingArea(record.RatingAreaId);
+    return record;
+  };
+
+  if (files.length === 0) {
+    console.log('No rating area file found. Expected filename containing "rating" and "area"');
+  }
+
+  for (const file of files) {
+    await importCSV(file, 'rating_areas', columnMap, target, transform);
   }
 
-  const db = initDatabase();
+  // Every county in a single-rating-area state maps to that area
+  const derived = await target.run(`
+    INSERT INTO rating_areas (state_code, county_fips, county_name, zip_code, rating_area)
+    SELECT DISTINCT c.state_code, c.county_fips, c.county_name, NULL, r.rating_area
+    FROM counties c
+    JOIN (
+      SELECT state_code, MIN(rating_area) AS rating_area FROM rates
+      GROUP BY state_code
+      HAVING COUNT(DISTINCT rating_area) = 1
+    ) r ON r.state_code = c.state_code
+    WHERE c.state_code NOT IN (SELECT DISTINCT state_code FROM rating_areas)
+  `);
+  console.log(`  Derived ${derived.toLocaleString()} county rating areas from single-area states`);
+}
+
+// Full-text index over plan names, issuers and IDs for plan search. On
+// PostgreSQL the search column is generated from each plan row instead.
+async function buildSearchIndex(target) {
+  if (target.isPostgres) return;
+
+  console.log('Building plan search index...');
+  await target.exec(`
+    DELETE FROM plan_search;
+    INSERT INTO plan_search (plan_id, plan_marketing_name, issuer_name, plan_ids)
+    SELECT plan_id, plan_marketing_name, issuer_name, plan_id || ' ' || COALESCE(standard_component_id, '')
+    FROM plans;
+  `);
+  const [{ count }] = await target.query('SELECT COUNT(*) as count FROM plan_search');
+  console.log(`  Indexed ${count.toLocaleString()} plans`);
+}
 
+// The import time tells a running server its cached data is out of date
+async function recordDataVersion(target) {
+  await target.exec('DELETE FROM data_version');
+  await target.run('INSERT INTO data_version (imported_at) VALUES (?)', [new Date().toISOString()]);
+}
+
+// SHA-256 of a file, read in chunks since PUFs run to gigabytes
+async function checksum(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+// Every source file in data/ with the table it loads
+async function listSources() {
+  const files = [];
+  for (const [pufType, find] of Object.entries(sources)) {
+    for (const filePath of find()) {
+      const year = sourceYear(pufType, filePath);
+      files.push({
+        name: path.relative(dataDir, filePath),
+        pufType,
+        planYear: year ? Number(year) : null,
+        checksum: await checksum(filePath),
+      });
+    }
+  }
+  return files;
+}
+
+// The manifest of the data being served: empty before the first import
+// and for databases imported before the manifest was kept
+async function readManifest() {
+  if (!isPostgres() && !fs.existsSync(path.join(__dirname, '..', 'plans.db'))) return [];
+  const tables = isPostgres()
+    ? await query("SELECT 1 FROM information_schema.tables WHERE table_schema = current_schema() AND table_name = 'imports'")
+    : await query("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'imports'");
+  return tables.length > 0 ? query('SELECT * FROM imports') : [];
+}
+
+// Whether the source files of a table were added, removed or changed
+function sourcesChanged(table, files, manifest) {
+  const current = files.filter(f => f.pufType === table).map(f => `${f.name} ${f.checksum}`).sort();
+  const previous = manifest.filter(m => m.puf_type === table).map(m => `${m.file_name} ${m.checksum}`).sort();
+  return current.join('\n') !== previous.join('\n');
+}
+
+// Records every source file. Those of tables kept from the last import keep
+// its row counts and import time.
+async function writeManifest(target, files, manifest, reloaded) {
+  const importedAt = new Date().toISOString();
+  for (const file of files) {
+    const previous = manifest.find(m => m.file_name === file.name && m.puf_type === file.pufType);
+    const [rowCount, fileImportedAt] = reloaded.has(file.pufType)
+      ? [rowCounts.get(`${file.pufType}:${file.name}`) ?? null, importedAt]
+      : [previous.row_count, previous.imported_at];
+    await target.run(
+      'INSERT INTO imports (file_name, puf_type, plan_year, checksum, row_count, imported_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [file.name, file.pufType, file.planYear, file.checksum, rowCount, fileImportedAt]
+    );
+  }
+}
+
+// The tables an import loads, in order. A step is rerun when the source
+// files of its tables changed or a table it reads from was reloaded;
+// otherwise its tables are kept from the last import.
+const steps = [
+  { tables: ['plans'], run: importPlans },
+  {
+    tables: ['counties', 'service_areas'],
+    run: async (target, fipsMap) => {
+      await importCounties(target, fipsMap);
+      await importServiceAreas(target, fipsMap);
+    },
+  },
+  { tables: ['zip_counties'], run: importZipCounties },
+  { tables: ['benefits'], run: importBenefits },
+  { tables: ['rates'], run: importRates },
+  { tables: ['rating_areas'], reads: ['counties', 'rates'], run: importRatingAreas },
+  { tables: ['plan_crosswalk'], run: importPlanCrosswalk },
+];
+
+// Checks across the loaded tables, counted against the thresholds with the
+// row checks
+async function checkImport(target) {
+  const [{ count }] = await target.query(`
+    SELECT COUNT(*) as count FROM plans p
+    WHERE NOT EXISTS (
+      SELECT 1 FROM service_areas s
+      WHERE s.service_area_id = p.service_area_id AND s.state_code = p.state_code AND s.plan_year = p.plan_year
+    )
+  `);
+  report.addCheck('plans', 'no service area', count);
+
+  const failures = report.failures();
+  if (failures.length > 0) {
+    throw new Error(`Import failed validation:\n  ${failures.join('\n  ')}`);
+  }
+}
+
+async function main() {
   // Load FIPS mapping
   const fipsMap = loadFipsMapping();
 
@@ -270,10 +608,17 @@ async function main() {
     console.log('  - Benefits and Cost Sharing PUF (e.g., Benefits_Cost_Sharing_PUF.csv)');
     console.log('  - Rate PUF (e.g., Rate_PUF.csv)');
     console.log('  - Service Area PUF (e.g., Service_Area_PUF.csv)');
+    console.log('  - Rating area mapping (optional, e.g., Rating_Areas.csv with StateCode, County, ZipCode, RatingAreaId)');
+    console.log('  - HUD USPS ZIP-County crosswalk saved as CSV (optional, e.g., ZIP_COUNTY_122024.csv)');
+    console.log('  - Plan ID Crosswalk PUF (optional, e.g., Plan_ID_Crosswalk_PUF.csv) for renewals');
+    console.log('\nTo serve several plan years, put each year\'s PUFs in a folder such as data/2026/.');
+    console.log('Each import writes import-report.json; pass --strict to fail on missing optional columns.');
+    console.log('Imports after the first reload only tables whose files changed; pass --full to reload everything.');
     process.exit(1);
   }
 
-  const csvFiles = fs.readdirSync(dataDir).filter(f => f.endsWith('.csv') && !f.includes('fips'));
+  const csvFiles = findDataFiles(f => !f.includes('fips'), { planYears: true })
+    .map(f => path.relative(dataDir, f));
   if (csvFiles.length === 0) {
     console.log('\nNo CSV files found in data/ directory.');
     console.log('Please download PUF files from: https://data.cms.gov/marketplace/health-plan-data');
@@ -282,36 +627,76 @@ async function main() {
 
   console.log('Found files:', csvFiles);
 
+  // Only tables whose source files changed since the last import are
+  // reloaded; the rest are copied from the data being served
+  const manifest = await readManifest();
+  const files = await listSources();
+  const full = process.argv.includes('--full') || manifest.length === 0;
+  const reloaded = new Set();
+  for (const step of steps) {
+    const rerun = full ||
+      (step.reads || []).some(table => reloaded.has(table)) ||
+      step.tables.some(table => sourcesChanged(table, files, manifest));
+    if (rerun) step.tables.forEach(table => reloaded.add(table));
+  }
+
+  if (reloaded.size === 0) {
+    console.log('\nNo source files have changed since the last import. Pass --full to reload everything.');
+    if (isPostgres()) await getPool().end();
+    return;
+  }
+  if (!full) console.log(`\nReloading ${[...reloaded].join(', ')}; keeping the other tables`);
+
+  // Imports into the configured database; the site keeps serving the
+  // previous import until this one is complete
+  console.log(`\nInitializing ${isPostgres() ? 'PostgreSQL staging tables' : 'database'}...`);
+  const database = isPostgres() ? 'postgresql' : 'sqlite';
+  const target = isPostgres()
+    ? await postgresTarget(getPool())
+    : await sqliteTarget(path.join(__dirname, '..', 'plans.db'));
+
   try {
-    await importPlans(db);
-    await importServiceAreas(db, fipsMap);
-    await importBenefits(db);
-    await importRates(db);
+    for (const step of steps) {
+      if (reloaded.has(step.tables[0])) {
+        await step.run(target, fipsMap);
+      } else {
+        for (const table of step.tables) await target.keep(table);
+        console.log(`Kept ${step.tables.join(' and ')} from the last import`);
+      }
+    }
+    await buildSearchIndex(target);
+    await recordDataVersion(target);
+    await writeManifest(target, files, manifest, reloaded);
+    await checkImport(target);
 
     console.log('\n--- Import Summary ---');
-    const counts = {
-      plans: db.prepare('SELECT COUNT(*) as count FROM plans').get().count,
-      service_areas: db.prepare('SELECT COUNT(*) as count FROM service_areas').get().count,
-      benefits: db.prepare('SELECT COUNT(*) as count FROM benefits').get().count,
-      rates: db.prepare('SELECT COUNT(*) as count FROM rates').get().count,
-    };
-
-    for (const [table, count] of Object.entries(counts)) {
-      console.log(`${table}: ${count.toLocaleString()} rows`);
+    const tables = ['plans', 'service_areas', 'benefits', 'rates', 'rating_areas', 'counties', 'zip_counties', 'plan_crosswalk'];
+    for (const table of tables) {
+      const [{ count }] = await target.query(`SELECT COUNT(*) as count FROM ${table}`);
+      console.log(`${table}: ${Number(count).toLocaleString()} rows`);
     }
 
-    const states = db.prepare('SELECT DISTINCT state_code FROM plans ORDER BY state_code').all();
-    console.log(`\nStates available: ${states.map(s => s.state_code).join(', ')}`);
+    const years = await target.query('SELECT plan_year, COUNT(*) as count FROM plans GROUP BY plan_year ORDER BY plan_year');
+    console.log(`\nPlan years: ${years.map(y => `${y.plan_year} (${Number(y.count).toLocaleString()} plans)`).join(', ')}`);
+
+    const states = await target.query('SELECT DISTINCT state_code FROM plans ORDER BY state_code');
+    console.log(`States available: ${states.map(s => s.state_code).join(', ')}`);
 
     // Show sample counties
-    const sampleCounties = db.prepare('SELECT DISTINCT state_code, county_name FROM service_areas WHERE county_name IS NOT NULL LIMIT 10').all();
+    const sampleCounties = await target.query('SELECT DISTINCT state_code, county_name FROM service_areas WHERE county_name IS NOT NULL LIMIT 10');
     console.log('\nSample counties:', sampleCounties);
 
+    await target.finish();
+    report.write(reportPath, { database });
+    console.log(`\nImport report written to ${reportPath}`);
   } catch (err) {
     console.error('Import error:', err);
+    await target.abort().catch(() => {});
+    report.write(reportPath, { database, error: err });
+    console.error(`Import report written to ${reportPath}; the previous data is still being served`);
     process.exit(1);
   } finally {
-    db.close();
+    if (isPostgres()) await getPool().end();
   }
 
   console.log('\nImport complete! Run `npm start` to launch the server.');
@@ -1,4 +1,5 @@
 const path = require('path');
+const { sqliteContext, migrate } = require('./migrator');
 
 // Use PostgreSQL if DATABASE_URL is set, otherwise SQLite
 // Railway may use different variable names depending on setup
@@ -65,4 +66,19 @@ function isPostgres() {
   return usePostgres;
 }
 
-module.exports = { query, getPool, getDatabase, isPostgres };
+// Opens a SQLite database for the importer, plans.db unless another file is
+// given, creating it if needed and applying any pending migrations first
+async function initDatabase(filePath = sqliteDbPath) {
+  const Database = require('better-sqlite3');
+  const db = new Database(filePath);
+  try {
+    const applied = await migrate(sqliteContext(db));
+    if (applied.length > 0) console.log(`Applied ${applied.length} schema migrations`);
+  } catch (err) {
+    db.close();
+    throw err;
+  }
+  return db;
+}
+
+module.exports = { query, getPool, getDatabase, isPostgres, initDatabase };
@@ -1,9 +1,12 @@
 // Migrate data from SQLite to PostgreSQL
 // Usage: DATABASE_URL=postgres://... node db/migrate-to-pg.js
+// Copies an existing plans.db. To load PUF files straight into PostgreSQL,
+// run `npm run import` with DATABASE_URL set instead.
 
 const Database = require('better-sqlite3');
 const { Pool } = require('pg');
 const path = require('path');
+const { sqliteContext, postgresContext, migrate: runMigrations } = require('./migrator');
 
 const sqliteDb = new Database(path.join(__dirname, '..', 'plans.db'));
 
@@ -16,80 +19,25 @@ async function migrate() {
   const client = await pool.connect();
 
   try {
-    console.log('Creating tables...');
+    // Bring plans.db up to the current schema so every column below exists
+    await runMigrations(sqliteContext(sqliteDb), { log: console.log });
 
-    // Create tables
+    // Replace the PostgreSQL copy, then create the schema from migrations
+    console.log('Creating tables...');
     await client.query(`
+      DROP TABLE IF EXISTS schema_migrations CASCADE;
+      DROP TABLE IF EXISTS data_version CASCADE;
+      DROP TABLE IF EXISTS imports CASCADE;
+      DROP TABLE IF EXISTS plan_crosswalk CASCADE;
+      DROP TABLE IF EXISTS zip_counties CASCADE;
+      DROP TABLE IF EXISTS counties CASCADE;
+      DROP TABLE IF EXISTS rating_areas CASCADE;
       DROP TABLE IF EXISTS rates CASCADE;
       DROP TABLE IF EXISTS benefits CASCADE;
       DROP TABLE IF EXISTS service_areas CASCADE;
       DROP TABLE IF EXISTS plans CASCADE;
-
-      CREATE TABLE plans (
-        plan_id TEXT PRIMARY KEY,
-        standard_component_id TEXT,
-        plan_marketing_name TEXT,
-        hios_issuer_id TEXT,
-        issuer_name TEXT,
-        state_code TEXT,
-        service_area_id TEXT,
-        market_coverage TEXT,
-        metal_level TEXT,
-        plan_type TEXT,
-        is_new_plan TEXT,
-        plan_effective_date TEXT,
-        plan_expiration_date TEXT,
-        out_of_country_coverage TEXT,
-        national_network TEXT,
-        child_only_offering TEXT,
-        rating_area TEXT,
-        medical_deductible_individual TEXT,
-        medical_deductible_family TEXT,
-        drug_deductible_individual TEXT,
-        drug_deductible_family TEXT,
-        medical_moop_individual TEXT,
-        medical_moop_family TEXT,
-        drug_moop_individual TEXT,
-        drug_moop_family TEXT,
-        hsa_eligible TEXT
-      );
-
-      CREATE TABLE service_areas (
-        id SERIAL PRIMARY KEY,
-        service_area_id TEXT,
-        state_code TEXT,
-        county_name TEXT,
-        cover_entire_state TEXT
-      );
-
-      CREATE TABLE benefits (
-        id SERIAL PRIMARY KEY,
-        plan_id TEXT,
-        benefit_name TEXT,
-        is_covered TEXT,
-        copay_in_network TEXT,
-        copay_out_of_network TEXT,
-        coinsurance_in_network TEXT,
-        coinsurance_out_of_network TEXT,
-        is_ehb TEXT,
-        quantity_limit TEXT,
-        limit_unit TEXT,
-        limit_quantity TEXT,
-        exclusions TEXT,
-        explanation TEXT
-      );
-
-      CREATE TABLE rates (
-        id SERIAL PRIMARY KEY,
-        plan_id TEXT,
-        state_code TEXT,
-        rating_area TEXT,
-        tobacco TEXT,
-        age TEXT,
-        individual_rate TEXT,
-        individual_tobacco_rate TEXT
-      );
     `);
+    await runMigrations(postgresContext(client), { log: console.log });
 
     // Migrate plans
     console.log('Migrating plans...');
@@ -103,7 +51,7 @@ async function migrate() {
       let paramIndex = 1;
 
       for (const p of batch) {
-        placeholders.push(`($${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++})`);
+        placeholders.push(`($${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++})`);
         values.push(
           p.plan_id, p.standard_component_id, p.plan_marketing_name, p.hios_issuer_id,
           p.issuer_name, p.state_code, p.service_area_id, p.market_coverage,
@@ -112,7 +60,7 @@ async function migrate() {
           p.child_only_offering, p.rating_area, p.medical_deductible_individual,
           p.medical_deductible_family, p.drug_deductible_individual, p.drug_deductible_family,
           p.medical_moop_individual, p.medical_moop_family, p.drug_moop_individual,
-          p.drug_moop_family, p.hsa_eligible
+          p.drug_moop_family, p.hsa_eligible, p.plan_year
         );
       }
 
@@ -123,7 +71,7 @@ async function migrate() {
           national_network, child_only_offering, rating_area, medical_deductible_individual,
           medical_deductible_family, drug_deductible_individual, drug_deductible_family,
           medical_moop_individual, medical_moop_family, drug_moop_individual, drug_moop_family,
-          hsa_eligible)
+          hsa_eligible, plan_year)
         VALUES ${placeholders.join(', ')}
       `, values);
 
@@ -142,12 +90,16 @@ async function migrate() {
       let paramIndex = 1;
 
       for (const sa of batch) {
-        placeholders.push(`($${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++})`);
-        values.push(sa.service_area_id, sa.state_code, sa.county_name, sa.cover_entire_state);
+        placeholders.push(`($${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++})`);
+        values.push(
+          sa.service_area_id, sa.state_code, sa.county_fips || null, sa.county_name,
+          sa.cover_entire_state, sa.partial_county || null, sa.zip_codes || null, sa.plan_year
+        );
       }
 
       await client.query(`
-        INSERT INTO service_areas (service_area_id, state_code, county_name, cover_entire_state)
+        INSERT INTO service_areas (service_area_id, state_code, county_fips, county_name, cover_entire_state,
+          partial_county, zip_codes, plan_year)
         VALUES ${placeholders.join(', ')}
       `, values);
 
@@ -167,18 +119,18 @@ async function migrate() {
       let paramIndex = 1;
 
       for (const b of batch) {
-        placeholders.push(`($${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++})`);
+        placeholders.push(`($${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++})`);
         values.push(
           b.plan_id, b.benefit_name, b.is_covered, b.copay_in_network,
           b.copay_out_of_network, b.coinsurance_in_network, b.coinsurance_out_of_network,
-          b.is_ehb, b.quantity_limit, b.limit_unit, b.limit_quantity, b.exclusions
+          b.is_ehb, b.quantity_limit, b.limit_unit, b.limit_quantity, b.exclusions, b.plan_year
         );
       }
 
       await client.query(`
         INSERT INTO benefits (plan_id, benefit_name, is_covered, copay_in_network,
           copay_out_of_network, coinsurance_in_network, coinsurance_out_of_network,
-          is_ehb, quantity_limit, limit_unit, limit_quantity, exclusions)
+          is_ehb, quantity_limit, limit_unit, limit_quantity, exclusions, plan_year)
         VALUES ${placeholders.join(', ')}
       `, values);
 
@@ -191,7 +143,7 @@ async function migrate() {
     console.log(`  Found ${ratesCount} rates`);
 
     const BATCH_SIZE = 5000;
-    const ratesStmt = sqliteDb.prepare('SELECT plan_id, state_code, rating_area, tobacco, age, individual_rate, individual_tobacco_rate FROM rates LIMIT ? OFFSET ?');
+    const ratesStmt = sqliteDb.prepare('SELECT plan_id, state_code, rating_area, tobacco, age, individual_rate, individual_tobacco_rate, plan_year FROM rates LIMIT ? OFFSET ?');
 
     for (let i = 0; i < ratesCount; i += BATCH_SIZE) {
       const batch = ratesStmt.all(BATCH_SIZE, i);
@@ -206,7 +158,7 @@ async function migrate() {
       let paramIndex = 1;
 
       for (const r of batch) {
-        placeholders.push(`($${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++})`);
+        placeholders.push(`($${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++})`);
         values.push(
           r.plan_id || null,
           r.state_code || null,
@@ -214,13 +166,14 @@ async function migrate() {
           r.tobacco || null,
           r.age || null,
           r.individual_rate || null,
-          r.individual_tobacco_rate || null
+          r.individual_tobacco_rate || null,
+          r.plan_year
         );
       }
 
-      if (placeholders.length > 0 && values.length === placeholders.length * 7) {
+      if (placeholders.length > 0 && values.length === placeholders.length * 8) {
         await client.query(`
-          INSERT INTO rates (plan_id, state_code, rating_area, tobacco, age, individual_rate, individual_tobacco_rate)
+          INSERT INTO rates (plan_id, state_code, rating_area, tobacco, age, individual_rate, individual_tobacco_rate, plan_year)
           VALUES ${placeholders.join(', ')}
         `, values);
       } else {
@@ -230,19 +183,115 @@ async function migrate() {
       console.log(`  Migrated ${Math.min(i + BATCH_SIZE, ratesCount)}/${ratesCount} rates`);
     }
 
-    // Create indexes
-    console.log('Creating indexes...');
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_plans_state ON plans(state_code);
-      CREATE INDEX IF NOT EXISTS idx_plans_metal ON plans(metal_level);
-      CREATE INDEX IF NOT EXISTS idx_plans_service_area ON plans(service_area_id);
-      CREATE INDEX IF NOT EXISTS idx_service_areas_state_county ON service_areas(state_code, county_name);
-      CREATE INDEX IF NOT EXISTS idx_service_areas_id ON service_areas(service_area_id);
-      CREATE INDEX IF NOT EXISTS idx_benefits_plan ON benefits(plan_id);
-      CREATE INDEX IF NOT EXISTS idx_rates_plan ON rates(plan_id);
-      CREATE INDEX IF NOT EXISTS idx_rates_plan_age ON rates(plan_id, age);
-      CREATE INDEX IF NOT EXISTS idx_rates_area ON rates(state_code, rating_area);
-    `);
+    // Migrate rating_areas
+    console.log('Migrating rating_areas...');
+    const ratingAreas = sqliteDb.prepare('SELECT * FROM rating_areas').all();
+    console.log(`  Found ${ratingAreas.length} rating area mappings`);
+
+    for (let i = 0; i < ratingAreas.length; i += 1000) {
+      const batch = ratingAreas.slice(i, i + 1000);
+      const values = [];
+      const placeholders = [];
+      let paramIndex = 1;
+
+      for (const ra of batch) {
+        placeholders.push(`($${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++})`);
+        values.push(ra.state_code, ra.county_fips || null, ra.county_name, ra.zip_code, ra.rating_area);
+      }
+
+      await client.query(`
+        INSERT INTO rating_areas (state_code, county_fips, county_name, zip_code, rating_area)
+        VALUES ${placeholders.join(', ')}
+      `, values);
+    }
+
+    // Migrate counties and the ZIP-County crosswalk, which databases
+    // imported before FIPS codes don't have
+    const hasTable = name => Boolean(
+      sqliteDb.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(name)
+    );
+
+    if (hasTable('counties')) {
+      console.log('Migrating counties...');
+      const counties = sqliteDb.prepare('SELECT * FROM counties').all();
+      console.log(`  Found ${counties.length} counties`);
+
+      for (let i = 0; i < counties.length; i += 1000) {
+        const batch = counties.slice(i, i + 1000);
+        const values = [];
+        const placeholders = [];
+        let paramIndex = 1;
+
+        for (const c of batch) {
+          placeholders.push(`($${paramIndex++}, $${paramIndex++}, $${paramIndex++})`);
+          values.push(c.county_fips, c.state_code, c.county_name);
+        }
+
+        await client.query(`
+          INSERT INTO counties (county_fips, state_code, county_name)
+          VALUES ${placeholders.join(', ')}
+        `, values);
+      }
+    }
+
+    if (hasTable('zip_counties')) {
+      console.log('Migrating zip_counties...');
+      const zipCounties = sqliteDb.prepare('SELECT * FROM zip_counties').all();
+      console.log(`  Found ${zipCounties.length} ZIP-County rows`);
+
+      for (let i = 0; i < zipCounties.length; i += 1000) {
+        const batch = zipCounties.slice(i, i + 1000);
+        const values = [];
+        const placeholders = [];
+        let paramIndex = 1;
+
+        for (const z of batch) {
+          placeholders.push(`($${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++})`);
+          values.push(z.zip_code, z.county_fips, z.state_code, z.city, z.res_ratio, z.tot_ratio);
+        }
+
+        await client.query(`
+          INSERT INTO zip_counties (zip_code, county_fips, state_code, city, res_ratio, tot_ratio)
+          VALUES ${placeholders.join(', ')}
+        `, values);
+      }
+    }
+
+    console.log('Migrating plan_crosswalk...');
+    const crosswalk = sqliteDb.prepare('SELECT * FROM plan_crosswalk').all();
+    console.log(`  Found ${crosswalk.length} crosswalk rows`);
+
+    for (let i = 0; i < crosswalk.length; i += 1000) {
+      const batch = crosswalk.slice(i, i + 1000);
+      const values = [];
+      const placeholders = [];
+      let paramIndex = 1;
+
+      for (const c of batch) {
+        placeholders.push(`($${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++})`);
+        values.push(c.plan_year, c.state_code, c.previous_plan_id, c.plan_id, c.county_fips, c.zip_code, c.crosswalk_level, c.reason);
+      }
+
+      await client.query(`
+        INSERT INTO plan_crosswalk (plan_year, state_code, previous_plan_id, plan_id, county_fips, zip_code, crosswalk_level, reason)
+        VALUES ${placeholders.join(', ')}
+      `, values);
+    }
+
+    // The import manifest, so the next import reloads only changed files
+    if (hasTable('imports')) {
+      console.log('Migrating imports...');
+      const imports = sqliteDb.prepare('SELECT * FROM imports').all();
+      for (const i of imports) {
+        await client.query(`
+          INSERT INTO imports (file_name, puf_type, plan_year, checksum, row_count, imported_at)
+          VALUES ($1, $2, $3, $4, $5, $6)
+        `, [i.file_name, i.puf_type, i.plan_year, i.checksum, i.row_count, i.imported_at]);
+      }
+    }
+
+    // Servers reading the new data drop what they cached from the old
+    await client.query('INSERT INTO data_version (imported_at) VALUES ($1)', [new Date().toISOString()]);
 
     console.log('Migration complete!');
   } finally {
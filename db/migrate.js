@@ -0,0 +1,48 @@
+// Applies pending schema migrations to the configured database: PostgreSQL
+// when DATABASE_URL is set, otherwise plans.db. Data is never dropped.
+//   npm run migrate               apply pending migrations
+//   npm run migrate -- --status   list applied and pending migrations
+const { isPostgres, getPool, getDatabase } = require('./init');
+const { listMigrations, sqliteContext, postgresContext, pendingMigrations, migrate } = require('./migrator');
+
+async function run(db) {
+  if (process.argv.includes('--status')) {
+    const pending = new Set((await pendingMigrations(db)).map(m => m.version));
+    for (const migration of listMigrations()) {
+      console.log(`${pending.has(migration.version) ? 'pending' : 'applied'}  ${migration.version} ${migration.name}`);
+    }
+    return;
+  }
+
+  const applied = await migrate(db, { log: console.log });
+  console.log(applied.length > 0
+    ? `Applied ${applied.length} migrations`
+    : 'Database schema is up to date');
+}
+
+async function main() {
+  if (isPostgres()) {
+    const pool = getPool();
+    const client = await pool.connect();
+    try {
+      await run(postgresContext(client));
+    } finally {
+      client.release();
+      await pool.end();
+    }
+  } else {
+    const db = getDatabase();
+    try {
+      await run(sqliteContext(db));
+    } finally {
+      db.close();
+    }
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,82 @@
+// Plans, service areas, benefits and rates from the CMS Public Use Files
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS plans (
+      plan_id TEXT PRIMARY KEY,
+      standard_component_id TEXT,
+      plan_marketing_name TEXT,
+      hios_issuer_id TEXT,
+      issuer_name TEXT,
+      state_code TEXT,
+      service_area_id TEXT,
+      market_coverage TEXT,
+      metal_level TEXT,
+      plan_type TEXT,
+      is_new_plan TEXT,
+      plan_effective_date TEXT,
+      plan_expiration_date TEXT,
+      out_of_country_coverage TEXT,
+      national_network TEXT,
+      child_only_offering TEXT,
+      rating_area TEXT,
+      medical_deductible_individual TEXT,
+      medical_deductible_family TEXT,
+      drug_deductible_individual TEXT,
+      drug_deductible_family TEXT,
+      medical_moop_individual TEXT,
+      medical_moop_family TEXT,
+      drug_moop_individual TEXT,
+      drug_moop_family TEXT,
+      hsa_eligible TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS service_areas (
+      id ${db.autoId},
+      service_area_id TEXT,
+      state_code TEXT,
+      county_name TEXT,
+      cover_entire_state TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS benefits (
+      id ${db.autoId},
+      plan_id TEXT,
+      benefit_name TEXT,
+      is_covered TEXT,
+      copay_in_network TEXT,
+      copay_out_of_network TEXT,
+      coinsurance_in_network TEXT,
+      coinsurance_out_of_network TEXT,
+      is_ehb TEXT,
+      quantity_limit TEXT,
+      limit_unit TEXT,
+      limit_quantity TEXT,
+      exclusions TEXT,
+      explanation TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS rates (
+      id ${db.autoId},
+      plan_id TEXT,
+      state_code TEXT,
+      rating_area TEXT,
+      tobacco TEXT,
+      age TEXT,
+      individual_rate TEXT,
+      individual_tobacco_rate TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_plans_state ON plans(state_code);
+    CREATE INDEX IF NOT EXISTS idx_plans_metal ON plans(metal_level);
+    CREATE INDEX IF NOT EXISTS idx_plans_service_area ON plans(service_area_id);
+    CREATE INDEX IF NOT EXISTS idx_service_areas_state_county ON service_areas(state_code, county_name);
+    CREATE INDEX IF NOT EXISTS idx_service_areas_id ON service_areas(service_area_id);
+    CREATE INDEX IF NOT EXISTS idx_benefits_plan ON benefits(plan_id);
+    CREATE INDEX IF NOT EXISTS idx_rates_plan ON rates(plan_id);
+    CREATE INDEX IF NOT EXISTS idx_rates_plan_age ON rates(plan_id, age);
+    CREATE INDEX IF NOT EXISTS idx_rates_area ON rates(state_code, rating_area);
+    CREATE INDEX IF NOT EXISTS idx_rates_plan_area_age ON rates(plan_id, rating_area, age);
+  `);
+}
+
+module.exports = { up };
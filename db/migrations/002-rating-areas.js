@@ -0,0 +1,16 @@
+// County and ZIP code to rating area mapping
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS rating_areas (
+      id ${db.autoId},
+      state_code TEXT,
+      county_name TEXT,
+      zip_code TEXT,
+      rating_area TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_rating_areas_state_county ON rating_areas(state_code, county_name);
+  `);
+}
+
+module.exports = { up };
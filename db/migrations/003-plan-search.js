@@ -0,0 +1,33 @@
+// Full-text index over plan names, issuers and IDs: an FTS5 table on SQLite,
+// refilled by each import, and a generated tsvector column on PostgreSQL
+async function up(db) {
+  if (db.isPostgres) {
+    await db.exec(`
+      ALTER TABLE plans ADD COLUMN IF NOT EXISTS search_vector tsvector
+        GENERATED ALWAYS AS (to_tsvector('simple',
+          COALESCE(plan_marketing_name, '') || ' ' || COALESCE(issuer_name, '') || ' ' ||
+          COALESCE(plan_id, '') || ' ' || COALESCE(standard_component_id, '')
+        )) STORED;
+      CREATE INDEX IF NOT EXISTS idx_plans_search ON plans USING GIN (search_vector);
+    `);
+    return;
+  }
+
+  if (await db.hasTable('plan_search')) return;
+
+  // Plans imported before the index existed are indexed now
+  await db.exec(`
+    CREATE VIRTUAL TABLE plan_search USING fts5(
+      plan_id UNINDEXED,
+      plan_marketing_name,
+      issuer_name,
+      plan_ids,
+      tokenize = 'unicode61'
+    );
+    INSERT INTO plan_search (plan_id, plan_marketing_name, issuer_name, plan_ids)
+    SELECT plan_id, plan_marketing_name, issuer_name, plan_id || ' ' || COALESCE(standard_component_id, '')
+    FROM plans;
+  `);
+}
+
+module.exports = { up };
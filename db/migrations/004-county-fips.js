@@ -0,0 +1,35 @@
+// Counties by FIPS code, the HUD ZIP-County crosswalk, and the FIPS code,
+// partial-county flag and ZIP codes of each service area row
+const { addColumn } = require('../migrator');
+
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS counties (
+      county_fips TEXT PRIMARY KEY,
+      state_code TEXT,
+      county_name TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS zip_counties (
+      id ${db.autoId},
+      zip_code TEXT,
+      county_fips TEXT,
+      state_code TEXT,
+      city TEXT,
+      res_ratio REAL,
+      tot_ratio REAL
+    );
+  `);
+
+  await addColumn(db, 'service_areas', 'county_fips', 'TEXT');
+  await addColumn(db, 'service_areas', 'partial_county', 'TEXT');
+  await addColumn(db, 'service_areas', 'zip_codes', 'TEXT');
+
+  await db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_service_areas_state_fips ON service_areas(state_code, county_fips);
+    CREATE INDEX IF NOT EXISTS idx_counties_state_name ON counties(state_code, county_name);
+    CREATE INDEX IF NOT EXISTS idx_zip_counties_zip ON zip_counties(zip_code);
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,6 @@
+// The time of the last import, which running servers key their caches by
+async function up(db) {
+  await db.exec('CREATE TABLE IF NOT EXISTS data_version (imported_at TEXT)');
+}
+
+module.exports = { up };
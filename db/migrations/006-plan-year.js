@@ -0,0 +1,92 @@
+// Coverage year on plans, rates, benefits and service areas, so several plan
+// years can be served side by side. Plans are keyed by plan ID and year.
+// Rows imported before this are given the year of their plan's effective date.
+const { addColumn } = require('../migrator');
+
+async function up(db) {
+  for (const table of ['plans', 'rates', 'benefits', 'service_areas']) {
+    await addColumn(db, table, 'plan_year', 'INTEGER');
+  }
+
+  await backfillPlanYears(db);
+
+  if (db.isPostgres) {
+    await db.exec(`
+      ALTER TABLE plans ALTER COLUMN plan_year SET NOT NULL;
+      ALTER TABLE plans DROP CONSTRAINT IF EXISTS plans_pkey;
+      ALTER TABLE plans ADD PRIMARY KEY (plan_id, plan_year);
+    `);
+  } else {
+    await rebuildSqlitePlans(db);
+  }
+
+  await db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_plans_year_state ON plans(plan_year, state_code);
+    CREATE INDEX IF NOT EXISTS idx_service_areas_id_year ON service_areas(service_area_id, plan_year);
+    CREATE INDEX IF NOT EXISTS idx_benefits_plan_year ON benefits(plan_id, plan_year);
+    CREATE INDEX IF NOT EXISTS idx_rates_year_plan_area_age ON rates(plan_year, plan_id, rating_area, age);
+  `);
+}
+
+async function backfillPlanYears(db) {
+  const dates = await db.query('SELECT DISTINCT plan_effective_date FROM plans WHERE plan_year IS NULL');
+  for (const { plan_effective_date: date } of dates) {
+    const match = /(\d{4})/.exec(date || '');
+    const year = match ? Number(match[1]) : new Date().getFullYear();
+    await db.query(
+      date === null
+        ? 'UPDATE plans SET plan_year = ? WHERE plan_year IS NULL AND plan_effective_date IS NULL'
+        : 'UPDATE plans SET plan_year = ? WHERE plan_year IS NULL AND plan_effective_date = ?',
+      date === null ? [year] : [year, date]
+    );
+  }
+
+  // An import holds one year, so the other tables take it; a database with
+  // plans from several years matches rows to their plans instead
+  const years = await db.query('SELECT DISTINCT plan_year FROM plans');
+  if (years.length === 1) {
+    for (const table of ['rates', 'benefits', 'service_areas']) {
+      await db.query(`UPDATE ${table} SET plan_year = ? WHERE plan_year IS NULL`, [years[0].plan_year]);
+    }
+  } else if (years.length > 1) {
+    await db.exec(`
+      UPDATE rates SET plan_year = (
+        SELECT MAX(p.plan_year) FROM plans p WHERE p.standard_component_id = rates.plan_id
+      ) WHERE plan_year IS NULL;
+      UPDATE benefits SET plan_year = (
+        SELECT MAX(p.plan_year) FROM plans p
+        WHERE p.plan_id = benefits.plan_id OR p.standard_component_id = benefits.plan_id
+      ) WHERE plan_year IS NULL;
+      UPDATE service_areas SET plan_year = (
+        SELECT MAX(p.plan_year) FROM plans p
+        WHERE p.service_area_id = service_areas.service_area_id AND p.state_code = service_areas.state_code
+      ) WHERE plan_year IS NULL;
+    `);
+  }
+}
+
+// SQLite can't change a primary key in place, so plans is copied into a new
+// table keyed by plan ID and year
+async function rebuildSqlitePlans(db) {
+  const columns = await db.query('SELECT name, type FROM pragma_table_info(?) ORDER BY cid', ['plans']);
+  const definitions = columns.map(c =>
+    c.name === 'plan_year' ? 'plan_year INTEGER NOT NULL' : `${c.name} ${c.type}`
+  );
+  const names = columns.map(c => c.name).join(', ');
+
+  await db.exec(`
+    CREATE TABLE plans_by_year (
+      ${definitions.join(',\n      ')},
+      PRIMARY KEY (plan_id, plan_year)
+    );
+    INSERT INTO plans_by_year (${names}) SELECT ${names} FROM plans;
+    DROP TABLE plans;
+    ALTER TABLE plans_by_year RENAME TO plans;
+
+    CREATE INDEX IF NOT EXISTS idx_plans_state ON plans(state_code);
+    CREATE INDEX IF NOT EXISTS idx_plans_metal ON plans(metal_level);
+    CREATE INDEX IF NOT EXISTS idx_plans_service_area ON plans(service_area_id);
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,21 @@
+// The CMS Plan ID Crosswalk PUF: the plan each of last year's plans renews
+// into in plan_year, for the whole plan or a county or ZIP code of it
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS plan_crosswalk (
+      id ${db.autoId},
+      plan_year INTEGER,
+      state_code TEXT,
+      previous_plan_id TEXT,
+      plan_id TEXT,
+      county_fips TEXT,
+      zip_code TEXT,
+      crosswalk_level TEXT,
+      reason TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_plan_crosswalk_previous ON plan_crosswalk(previous_plan_id, plan_year);
+  `);
+}
+
+module.exports = { up };
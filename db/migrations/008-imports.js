@@ -0,0 +1,18 @@
+// The import manifest: each source file loaded by the last import, with its
+// checksum so the next import can skip files that haven't changed, and when
+// it was loaded
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS imports (
+      id ${db.autoId},
+      file_name TEXT,
+      puf_type TEXT,
+      plan_year INTEGER,
+      checksum TEXT,
+      row_count INTEGER,
+      imported_at TEXT
+    );
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,20 @@
+// County FIPS code of each rating area row, so rating areas match counties
+// the way service areas do. Rows already imported take the code of their
+// county name; state-wide and ZIP-only rows have none.
+const { addColumn } = require('../migrator');
+
+async function up(db) {
+  await addColumn(db, 'rating_areas', 'county_fips', 'TEXT');
+
+  await db.exec(`
+    UPDATE rating_areas SET county_fips = (
+      SELECT c.county_fips FROM counties c
+      WHERE c.state_code = rating_areas.state_code AND c.county_name = rating_areas.county_name
+    )
+    WHERE county_name IS NOT NULL;
+
+    CREATE INDEX IF NOT EXISTS idx_rating_areas_state_fips ON rating_areas(state_code, county_fips);
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,129 @@
+// Versioned schema migrations shared by SQLite and PostgreSQL. Each file in
+// db/migrations is named NNN-description.js and exports up(db), where db is
+// a context from sqliteContext or postgresContext. Migrations run in order,
+// each in a transaction, and are recorded in schema_migrations. The early
+// ones describe tables that databases imported before migrations existed
+// may already have, so every step must be safe to run against those.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Migration files as { version, name, file }, oldest first
+function listMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => /^(\d+)-([\w-]+)\.js$/.exec(file))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({ version, name, file }))
+    .sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+// Context for a better-sqlite3 database
+function sqliteContext(db) {
+  return {
+    isPostgres: false,
+    autoId: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+    async exec(sql) {
+      db.exec(sql);
+    },
+    async query(sql, params = []) {
+      const stmt = db.prepare(sql);
+      return stmt.reader ? stmt.all(...params) : stmt.run(...params);
+    },
+    async hasTable(name) {
+      return db.prepare("SELECT 1 FROM sqlite_master WHERE name = ? AND type IN ('table', 'view')").all(name).length > 0;
+    },
+    async hasColumn(table, column) {
+      return db.prepare('SELECT 1 FROM pragma_table_info(?) WHERE name = ?').all(table, column).length > 0;
+    },
+  };
+}
+
+// Context for a pg client; ? placeholders become $1, $2, ...
+function postgresContext(client) {
+  return {
+    isPostgres: true,
+    autoId: 'SERIAL PRIMARY KEY',
+    async exec(sql) {
+      await client.query(sql);
+    },
+    async query(sql, params = []) {
+      let i = 0;
+      const result = await client.query(sql.replace(/\?/g, () => `$${++i}`), params);
+      return result.rows;
+    },
+    async hasTable(name) {
+      const result = await client.query(
+        "SELECT 1 FROM information_schema.tables WHERE table_schema = current_schema() AND table_name = $1", [name]
+      );
+      return result.rows.length > 0;
+    },
+    async hasColumn(table, column) {
+      const result = await client.query(
+        'SELECT 1 FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = $1 AND column_name = $2',
+        [table, column]
+      );
+      return result.rows.length > 0;
+    },
+  };
+}
+
+// Adds a column unless the table already has it
+async function addColumn(db, table, column, type) {
+  if (!(await db.hasColumn(table, column))) {
+    await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+  }
+}
+
+async function appliedVersions(db) {
+  if (!(await db.hasTable('schema_migrations'))) return new Set();
+  const rows = await db.query('SELECT version FROM schema_migrations');
+  return new Set(rows.map(r => r.version));
+}
+
+// Migrations not yet applied to the database
+async function pendingMigrations(db) {
+  const applied = await appliedVersions(db);
+  return listMigrations().filter(m => !applied.has(m.version));
+}
+
+// Applies pending migrations in order and returns them. A migration that
+// fails is rolled back and stops the run.
+async function migrate(db, { log = () => {} } = {}) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT,
+      applied_at TEXT
+    )
+  `);
+
+  const pending = await pendingMigrations(db);
+  for (const migration of pending) {
+    log(`Applying migration ${migration.version} ${migration.name}...`);
+    const { up } = require(path.join(MIGRATIONS_DIR, migration.file));
+    await db.exec('BEGIN');
+    try {
+      await up(db);
+      await db.query(
+        'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+        [migration.version, migration.name, new Date().toISOString()]
+      );
+      await db.exec('COMMIT');
+    } catch (err) {
+      await db.exec('ROLLBACK');
+      err.message = `Migration ${migration.file} failed: ${err.message}`;
+      throw err;
+    }
+  }
+  return pending;
+}
+
+module.exports = {
+  listMigrations,
+  sqliteContext,
+  postgresContext,
+  addColumn,
+  pendingMigrations,
+  migrate,
+};
@@ -1,10 +1,11 @@
 // Wizard form handling
 document.addEventListener('DOMContentLoaded', function() {
   const zipcodeInput = document.getElementById('zipcode');
+  const yearSelect = document.getElementById('year');
   const countySelect = document.getElementById('county');
   const stateHidden = document.getElementById('state-hidden');
   const locationInfo = document.getElementById('location-info');
-  const ageInput = document.getElementById('age');
+  const wizardMembers = document.getElementById('wizard-members');
   const incomeInput = document.getElementById('income');
   const householdHidden = document.getElementById('household-size');
   const householdDisplay = document.getElementById('household-display');
@@ -16,12 +17,12 @@ document.addEventListener('DOMContentLoaded', function() {
   const stepZip = document.getElementById('step-zip');
   const stepCounty = document.getElementById('step-county');
   const stepHousehold = document.getElementById('step-household');
-  const stepAge = document.getElementById('step-age');
+  const stepMembers = document.getElementById('step-members');
 
   // Navigation buttons
   const backToZip = document.getElementById('back-to-zip');
   const backToCounty = document.getElementById('back-to-county');
-  const nextToAge = document.getElementById('next-to-age');
+  const nextToMembers = document.getElementById('next-to-members');
   const backBtn = document.getElementById('back-btn');
 
   let currentState = null;
@@ -31,7 +32,7 @@ document.addEventListener('DOMContentLoaded', function() {
   let lastLookedUpZip = null;
 
   function showStep(step) {
-    [stepZip, stepCounty, stepHousehold, stepAge].forEach(s => {
+    [stepZip, stepCounty, stepHousehold, stepMembers].forEach(s => {
       if (s) s.classList.remove('active');
     });
     if (step) step.classList.add('active');
@@ -44,6 +45,47 @@ document.addEventListener('DOMContentLoaded', function() {
     if (householdHidden) householdHidden.value = value;
     if (householdMinus) householdMinus.disabled = value <= 1;
     if (householdPlus) householdPlus.disabled = value >= 8;
+    syncWizardMembers(value);
+  }
+
+  // One row per household member: age, tobacco use, and whether they need coverage
+  function memberRowHtml(index, member, label) {
+    return `
+      <div class="member-row">
+        ${label ? `<span class="member-label">${label}</span>` : ''}
+        <input type="number" name="members[${index}][age]" class="member-age" value="${member.age}" min="0" max="120" placeholder="Age" aria-label="Age" required>
+        <label class="checkbox-label">
+          <input type="checkbox" name="members[${index}][tobacco]"${member.tobacco ? ' checked' : ''}>
+          Tobacco
+        </label>
+        <label class="checkbox-label">
+          <input type="hidden" name="members[${index}][applying]" value="no">
+          <input type="checkbox" name="members[${index}][applying]" value="yes"${member.applying ? ' checked' : ''}>
+          Needs coverage
+        </label>
+      </div>
+    `;
+  }
+
+  // Keep member field names numbered 0..n-1 after rows are added or removed
+  function reindexMembers(list) {
+    list.querySelectorAll('.member-row').forEach((row, i) => {
+      row.querySelectorAll('[name^="members["]').forEach(input => {
+        input.name = input.name.replace(/^members\[\d+\]/, `members[${i}]`);
+      });
+    });
+  }
+
+  function syncWizardMembers(count) {
+    if (!wizardMembers) return;
+    const rows = wizardMembers.querySelectorAll('.member-row');
+    for (let i = rows.length - 1; i >= count; i--) {
+      rows[i].remove();
+    }
+    for (let i = rows.length; i < count; i++) {
+      const member = { age: i === 0 ? 30 : '', tobacco: false, applying: true };
+      wizardMembers.insertAdjacentHTML('beforeend', memberRowHtml(i, member, i === 0 ? 'You' : `Person ${i + 1}`));
+    }
   }
 
   if (householdMinus && householdPlus && householdHidden) {
@@ -108,6 +150,15 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   }
 
+  // Counties with plans can differ between years, so a new year looks the ZIP up again
+  if (yearSelect && zipcodeInput && stepZip) {
+    yearSelect.addEventListener('change', function() {
+      const zip = zipcodeInput.value;
+      if (zip.length !== 5 || isLookingUp) return;
+      lookupZipCode(zip);
+    });
+  }
+
   async function lookupZipCode(zip) {
     if (isLookingUp) return;
     isLookingUp = true;
@@ -119,8 +170,8 @@ document.addEventListener('DOMContentLoaded', function() {
         locationInfo.innerHTML = '<span class="loading-text">Looking up...</span>';
       }
 
-      const response = await fetch(`/api/zipcode/${zip}`);
-      const data = await response.json();
+      const response = await fetch(`/api/v1/zipcode/${zip}${yearSelect && stepZip ? '?year=' + yearSelect.value : ''}`);
+      const { data, error } = await response.json();
 
       // Check if zip changed while we were fetching
       if (zipcodeInput.value !== zip) {
@@ -128,7 +179,7 @@ document.addEventListener('DOMContentLoaded', function() {
         return;
       }
 
-      if (response.status === 404 || data.error) {
+      if (error) {
         if (locationInfo) locationInfo.innerHTML = '<span class="error-text">Zip code not found</span>';
         isLookingUp = false;
         return;
@@ -168,8 +219,14 @@ document.addEventListener('DOMContentLoaded', function() {
         // Multiple counties - show county step
         hasMultipleCounties = true;
         if (countySelect) {
+          // Counties come most-addresses first; show each one's share when known
+          const shares = new Map((data.county_details || []).map(d => [d.name, d.residential_share]));
           countySelect.innerHTML = '<option value="">Select your county</option>' +
-            data.counties.map(c => `<option value="${c}">${c}</option>`).join('');
+            data.counties.map(c => {
+              const share = shares.get(c);
+              const label = typeof share === 'number' ? `${c} (${Math.round(share * 100)}% of addresses)` : c;
+              return `<option value="${c}">${label}</option>`;
+            }).join('');
         }
         if (locationInfo) locationInfo.innerHTML = `<span class="success-text">${data.city}, ${data.state}</span>`;
 
@@ -224,12 +281,13 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   }
 
-  if (nextToAge) {
-    nextToAge.addEventListener('click', function() {
-      showStep(stepAge);
-      if (ageInput) {
-        ageInput.focus();
-        ageInput.select();
+  if (nextToMembers) {
+    nextToMembers.addEventListener('click', function() {
+      showStep(stepMembers);
+      const firstAge = wizardMembers && wizardMembers.querySelector('.member-age');
+      if (firstAge) {
+        firstAge.focus();
+        firstAge.select();
       }
     });
   }
@@ -241,6 +299,147 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   }
 
+  // Household member editing (for plans page)
+  const memberList = document.querySelector('.your-info-bar #member-list');
+  const addMemberBtn = document.getElementById('add-member');
+
+  if (memberList) {
+    memberList.addEventListener('click', function(e) {
+      if (!e.target.classList.contains('member-remove')) return;
+      e.target.closest('.member-row').remove();
+      reindexMembers(memberList);
+      memberList.closest('form').submit();
+    });
+  }
+
+  if (memberList && addMemberBtn) {
+    addMemberBtn.addEventListener('click', function() {
+      const index = memberList.querySelectorAll('.member-row').length;
+      memberList.insertAdjacentHTML('beforeend', memberRowHtml(index, { age: '', tobacco: false, applying: true }));
+      const row = memberList.lastElementChild;
+      row.querySelectorAll('input').forEach(input => {
+        input.addEventListener('change', () => input.form.submit());
+      });
+      row.querySelector('.member-age').focus();
+    });
+  }
+
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+  }
+
+  // Search box type-ahead, scoped to the state and county the page is showing
+  const siteSearch = document.getElementById('site-search');
+  const suggestions = document.getElementById('search-suggestions');
+  if (siteSearch && suggestions) {
+    const form = siteSearch.form;
+    let searchTimer;
+    let searchSeq = 0;
+    let activeIndex = -1;
+
+    const closeSuggestions = () => {
+      suggestions.hidden = true;
+      suggestions.innerHTML = '';
+      activeIndex = -1;
+    };
+    const setActive = (index) => {
+      const items = suggestions.querySelectorAll('a');
+      if (items.length === 0) return;
+      activeIndex = (index + items.length) % items.length;
+      items.forEach((item, i) => item.classList.toggle('active', i === activeIndex));
+    };
+
+    siteSearch.addEventListener('input', function() {
+      clearTimeout(searchTimer);
+      const q = this.value.trim();
+      if (q.length < 2) {
+        closeSuggestions();
+        return;
+      }
+      searchTimer = setTimeout(async () => {
+        const params = new URLSearchParams(new FormData(form));
+        params.set('limit', '8');
+        const seq = ++searchSeq;
+        try {
+          const response = await fetch('/api/v1/search?' + params.toString());
+          const { data } = await response.json();
+          if (seq !== searchSeq) return;
+
+          const linkParams = new URLSearchParams();
+          if (form.elements.county) linkParams.set('county', form.elements.county.value);
+          if (form.elements.year) linkParams.set('year', form.elements.year.value);
+          const context = linkParams.toString() ? '?' + linkParams.toString() : '';
+          const items = data.match ? [{ ...data.match, exact: true }] : [];
+          data.results.forEach(plan => {
+            if (!items.some(item => item.plan_id === plan.plan_id)) items.push(plan);
+          });
+          if (items.length === 0) {
+            closeSuggestions();
+            return;
+          }
+          suggestions.innerHTML = items.map(plan => `
+            <li role="option">
+              <a href="/plan/${plan.plan_id}${context}">
+                <span class="suggestion-name">${escapeHtml(plan.plan_marketing_name || 'Unnamed Plan')}</span>
+                <span class="suggestion-meta">${plan.exact ? 'Plan ID ' + plan.plan_id : escapeHtml([plan.issuer_name, plan.metal_level, plan.state_code].filter(Boolean).join(' · '))}</span>
+              </a>
+            </li>
+          `).join('');
+          suggestions.hidden = false;
+          activeIndex = -1;
+        } catch (err) {
+          closeSuggestions();
+        }
+      }, 200);
+    });
+
+    siteSearch.addEventListener('keydown', function(e) {
+      if (suggestions.hidden) return;
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        setActive(activeIndex + (e.key === 'ArrowDown' ? 1 : -1));
+      } else if (e.key === 'Enter' && activeIndex >= 0) {
+        e.preventDefault();
+        window.location.href = suggestions.querySelectorAll('a')[activeIndex].href;
+      } else if (e.key === 'Escape') {
+        closeSuggestions();
+      }
+    });
+
+    document.addEventListener('click', function(e) {
+      if (!form.contains(e.target)) closeSuggestions();
+    });
+  }
+
+  // Benefit criteria builder (plans page): adds a bf=benefit:condition[:value] filter
+  const bfAdd = document.getElementById('bf-add');
+  if (bfAdd) {
+    const bfCondition = document.getElementById('bf-condition');
+    const bfValue = document.getElementById('bf-value');
+    const toggleValue = () => {
+      bfValue.hidden = !/_max$/.test(bfCondition.value);
+    };
+    bfCondition.addEventListener('change', toggleValue);
+    toggleValue();
+
+    bfAdd.addEventListener('click', function() {
+      let criterion = document.getElementById('bf-benefit').value + ':' + bfCondition.value;
+      if (!bfValue.hidden) {
+        if (bfValue.value === '') {
+          bfValue.focus();
+          return;
+        }
+        criterion += ':' + bfValue.value;
+      }
+      const input = document.createElement('input');
+      input.type = 'hidden';
+      input.name = 'bf';
+      input.value = criterion;
+      this.form.appendChild(input);
+      this.form.submit();
+    });
+  }
+
   // Compare functionality (for plans page)
   const compareCheckboxes = document.querySelectorAll('.compare-check');
   const compareBar = document.getElementById('compare-bar');
@@ -271,13 +470,120 @@ document.addEventListener('DOMContentLoaded', function() {
       if (selectedPlans.size > 0) {
         compareBar.classList.add('visible');
         compareCount.textContent = selectedPlans.size;
-        compareBtn.href = `/compare?ids=${Array.from(selectedPlans).join(',')}`;
+        const context = compareBar.dataset.context;
+        compareBtn.href = `/compare?ids=${Array.from(selectedPlans).join(',')}${context ? '&' + context : ''}`;
       } else {
         compareBar.classList.remove('visible');
       }
     }
+    loadSubsidyCurve();
+  }
+
+  // Income what-if chart (for plans page). The curve is computed server-side;
+  // plans selected for comparison are plotted next to the benchmark.
+  const subsidyCurve = document.getElementById('subsidy-curve');
+  const CURVE_COLORS = ['#9333EA', '#D97706', '#DC2626', '#0891B2'];
+
+  function loadSubsidyCurve() {
+    if (!subsidyCurve) return;
+    let url = subsidyCurve.dataset.src;
+    if (selectedPlans.size > 0) {
+      url += '&plans=' + encodeURIComponent(Array.from(selectedPlans).join(','));
+    }
+    fetch(url)
+      .then(res => (res.ok ? res.json() : null))
+      .then(body => {
+        if (body) {
+          renderSubsidyCurve(subsidyCurve, body.data);
+        } else {
+          subsidyCurve.style.display = 'none';
+        }
+      })
+      .catch(() => { subsidyCurve.style.display = 'none'; });
   }
 
+  function formatDollars(value) {
+    return '$' + Math.round(value).toLocaleString();
+  }
+
+  function renderSubsidyCurve(container, data) {
+    const width = 720;
+    const height = 260;
+    const pad = { top: 28, right: 16, bottom: 32, left: 56 };
+    const points = data.points;
+    const maxY = Math.max(data.benchmark.premium, ...data.plans.map(p => p.premium), ...points.map(p => p.credit), 1);
+    const x = income => pad.left + (income - data.range.min) / (data.range.max - data.range.min) * (width - pad.left - pad.right);
+    const y = value => height - pad.bottom - value / maxY * (height - pad.top - pad.bottom);
+    const path = values => points.map((p, i) => (i === 0 ? 'M' : 'L') + x(p.income).toFixed(1) + ',' + y(values(p)).toFixed(1)).join(' ');
+
+    const series = [
+      { label: 'Tax credit', color: '#16A34A', values: p => p.credit },
+      { label: 'Benchmark Silver after credit', color: '#0970C5', values: p => p.benchmark },
+    ].concat(data.plans.map((plan, i) => ({
+      label: plan.name + ' after credit',
+      color: CURVE_COLORS[i % CURVE_COLORS.length],
+      values: p => p.plans[plan.plan_id],
+    })));
+
+    let svg = `<svg viewBox="0 0 ${width} ${height}" class="subsidy-curve-svg" role="img" aria-label="Tax credit and net premium by income">`;
+
+    for (let i = 0; i <= 4; i++) {
+      const value = maxY * i / 4;
+      svg += `<line x1="${pad.left}" x2="${width - pad.right}" y1="${y(value)}" y2="${y(value)}" class="curve-grid"/>`;
+      svg += `<text x="${pad.left - 6}" y="${y(value) + 4}" class="curve-axis" text-anchor="end">${formatDollars(value)}</text>`;
+    }
+    for (let i = 0; i <= 5; i++) {
+      const income = data.range.min + (data.range.max - data.range.min) * i / 5;
+      svg += `<text x="${x(income)}" y="${height - 10}" class="curve-axis" text-anchor="middle">$${Math.round(income / 1000)}k</text>`;
+    }
+
+    data.markers.forEach(marker => {
+      if (marker.income < data.range.min || marker.income > data.range.max) return;
+      svg += `<line x1="${x(marker.income)}" x2="${x(marker.income)}" y1="${pad.top}" y2="${height - pad.bottom}" class="curve-marker curve-marker-${marker.type}"/>`;
+      svg += `<text x="${x(marker.income)}" y="${pad.top - 6}" text-anchor="middle" class="curve-marker-label curve-marker-${marker.type}">` +
+        `<title>${marker.label}: ${formatDollars(marker.income)}/year</title>${marker.fpl_percent}%${marker.type === 'cliff' ? ' cliff' : ''}</text>`;
+    });
+
+    if (data.income && data.income >= data.range.min && data.income <= data.range.max) {
+      svg += `<line x1="${x(data.income)}" x2="${x(data.income)}" y1="${pad.top}" y2="${height - pad.bottom}" class="curve-current"/>`;
+    }
+
+    series.forEach(s => {
+      svg += `<path d="${path(s.values)}" fill="none" stroke="${s.color}" stroke-width="2"/>`;
+    });
+    svg += `<line class="curve-hover" y1="${pad.top}" y2="${height - pad.bottom}" x1="-10" x2="-10"/>`;
+    svg += '</svg>';
+
+    container.querySelector('.subsidy-curve-chart').innerHTML = svg;
+    container.querySelector('.subsidy-curve-legend').innerHTML = series.map(s =>
+      `<span class="curve-legend-item"><span class="curve-swatch" style="background:${s.color}"></span>${s.label}</span>`
+    ).join('');
+
+    const readout = container.querySelector('.subsidy-curve-readout');
+    const describe = p => `At ${formatDollars(p.income)}/year (${p.fpl_percent}% FPL): ` +
+      series.map(s => `${s.label} ${formatDollars(s.values(p))}/mo`).join(' &middot; ');
+    const current = data.income ? points.reduce((a, b) => (Math.abs(b.income - data.income) < Math.abs(a.income - data.income) ? b : a)) : null;
+    readout.innerHTML = current ? describe(current) : 'Hover over the chart to see values at each income.';
+
+    const svgEl = container.querySelector('svg');
+    const hover = svgEl.querySelector('.curve-hover');
+    svgEl.addEventListener('mousemove', e => {
+      const rect = svgEl.getBoundingClientRect();
+      const income = data.range.min + ((e.clientX - rect.left) / rect.width * width - pad.left) / (width - pad.left - pad.right) * (data.range.max - data.range.min);
+      const nearest = points.reduce((a, b) => (Math.abs(b.income - income) < Math.abs(a.income - income) ? b : a));
+      hover.setAttribute('x1', x(nearest.income));
+      hover.setAttribute('x2', x(nearest.income));
+      readout.innerHTML = describe(nearest);
+    });
+    svgEl.addEventListener('mouseleave', () => {
+      hover.setAttribute('x1', -10);
+      hover.setAttribute('x2', -10);
+      readout.innerHTML = current ? describe(current) : 'Hover over the chart to see values at each income.';
+    });
+  }
+
+  loadSubsidyCurve();
+
   // Format and auto-submit income input on plans page (in top info bar)
   const infoBarIncomeInput = document.querySelector('.your-info-bar #income');
   if (infoBarIncomeInput) {
@@ -320,4 +626,72 @@ document.addEventListener('DOMContentLoaded', function() {
       }
     });
   }
+
+  // Bulk quotes: post the CSV as a job, then poll until it's done
+  const quoteForm = document.getElementById('quote-form');
+  if (quoteForm) {
+    const fileInput = document.getElementById('quote-file');
+    const submitBtn = document.getElementById('quote-submit');
+    const status = document.getElementById('quote-status');
+    const message = document.getElementById('quote-message');
+    const progressBar = document.getElementById('quote-progress-bar');
+    const downloads = document.getElementById('quote-downloads');
+
+    function showJob(job) {
+      progressBar.style.width = job.progress + '%';
+      if (job.status === 'complete') {
+        message.textContent = `Quoted ${job.total - job.errors} of ${job.total} households` +
+          (job.errors ? ` (${job.errors} could not be quoted; see the Error column)` : '') + '.';
+        document.getElementById('quote-csv').href = `/api/v1/quotes/${job.id}/results?format=csv`;
+        document.getElementById('quote-xlsx').href = `/api/v1/quotes/${job.id}/results?format=xlsx`;
+        downloads.hidden = false;
+        submitBtn.disabled = false;
+      } else {
+        message.textContent = job.status === 'queued'
+          ? 'Waiting for other quotes to finish...'
+          : `Quoting ${job.completed} of ${job.total} households...`;
+        setTimeout(() => pollJob(job.id), 1000);
+      }
+    }
+
+    function showError(text) {
+      message.textContent = text;
+      submitBtn.disabled = false;
+    }
+
+    async function pollJob(id) {
+      try {
+        const response = await fetch(`/api/v1/quotes/${id}`);
+        const body = await response.json();
+        if (!response.ok) return showError(body.error.message);
+        showJob(body.data);
+      } catch (err) {
+        showError('Lost touch with the server. Refresh to try again.');
+      }
+    }
+
+    quoteForm.addEventListener('submit', async e => {
+      e.preventDefault();
+      const file = fileInput.files[0];
+      if (!file) return;
+
+      submitBtn.disabled = true;
+      status.hidden = false;
+      downloads.hidden = true;
+      progressBar.style.width = '0';
+      message.textContent = 'Uploading...';
+      try {
+        const response = await fetch('/api/v1/quotes', {
+          method: 'POST',
+          headers: { 'Content-Type': 'text/csv' },
+          body: await file.text(),
+        });
+        const body = await response.json();
+        if (!response.ok) return showError(body.error.message);
+        showJob(body.data);
+      } catch (err) {
+        showError('Could not upload the file.');
+      }
+    });
+  }
 });
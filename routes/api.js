@@ -1,248 +1,670 @@
 const express = require('express');
-const router = express.Router();
-const fs = require('fs');
-const path = require('path');
-const { isPostgres, getPool, getDatabase } = require('../db/init');
-
-// Load zip code data
-let zipCodeData = [];
-const zipPath = path.join(__dirname, '..', 'data', 'zipcodes.json');
-if (fs.existsSync(zipPath)) {
-  zipCodeData = JSON.parse(fs.readFileSync(zipPath, 'utf-8'));
-  console.log(`Loaded ${zipCodeData.length} zip codes`);
-}
-
-// Create a map for faster lookup
-const zipCodeMap = new Map();
-for (const entry of zipCodeData) {
-  const zip = String(entry.zip_code).padStart(5, '0');
-  if (!zipCodeMap.has(zip)) {
-    zipCodeMap.set(zip, []);
-  }
-  zipCodeMap.get(zip).push({
-    state: entry.state,
-    county: entry.county,
-    city: entry.city
-  });
+const { resolveRatingArea } = require('../services/rating-area');
+const { getRateTable } = require('../services/rates');
+const { getBenefitsForPlans } = require('../services/benefits');
+const { parseHousehold } = require('../services/household');
+const { parseIncome, getSchedule } = require('../services/subsidy');
+const { buildSubsidyCurve } = require('../services/subsidy-curve');
+const { FILING_STATUSES, parseReconcileQuery, reconcile } = require('../services/reconciliation');
+const { SORTS, DEFAULT_PER_PAGE, MAX_PER_PAGE, listStatesWithPlans, searchCountyPlans } = require('../services/plan-search');
+const { PLAN_ID, findPlanById, searchPlans } = require('../services/search');
+const { lookupZip } = require('../services/zipcodes');
+const { listCountiesWithPlans } = require('../services/counties');
+const { listPlanYears, defaultPlanYear, getPlanById, getPlansById } = require('../services/plan-years');
+const { listRenewalYears, findRenewal } = require('../services/renewal');
+const { MAX_HOUSEHOLDS, parseQuoteCsv, quoteColumns } = require('../services/quotes');
+const { createQuoteJob, getQuoteJob, describeJob } = require('../services/quote-jobs');
+const { FORMATS, exportTable } = require('../services/export');
+const { httpCache } = require('../services/cache');
+const { listImports, getDataUpdatedAt } = require('../services/imports');
+const openapi = require('./openapi');
+
+// Versioned API under /api/v1. Responses are { data, meta } and errors are
+// { error: { code, message, param } }. The unversioned /api routes serve the
+// same endpoints in their original shapes and are deprecated.
+const v1 = express.Router();
+const legacy = express.Router();
+
+class ApiError extends Error {
+  constructor(status, code, message, param = null) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.param = param;
+  }
 }
 
-// Helper to run queries on either database
-async function dbQuery(sql, params = []) {
-  if (isPostgres()) {
-    let i = 0;
-    const pgSql = sql.replace(/\?/g, () => `$${++i}`)
-      .replace(/GLOB '\[0-9\]\*'/g, "~ '^[0-9]+'");
-    const result = await getPool().query(pgSql, params);
-    return result.rows;
-  } else {
-    const db = getDatabase();
-    try {
-      return db.prepare(sql).all(...params);
-    } finally {
-      db.close();
+function invalid(param, message) {
+  return new ApiError(400, 'invalid_parameter', message, param);
+}
+
+function notFound(message) {
+  return new ApiError(404, 'not_found', message);
+}
+
+// Query parameter validation. Each returns the parsed value or the fallback
+// when the parameter is absent, and throws a 400 when it is malformed.
+function intParam(params, name, { min = 1, max = Infinity, fallback = null } = {}) {
+  const raw = params[name];
+  if (raw === undefined || raw === '') return fallback;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw invalid(name, `${name} must be an integer${max === Infinity ? ` of at least ${min}` : ` from ${min} to ${max}`}`);
+  }
+  return value;
+}
+
+function incomeParam(params, name) {
+  const raw = params[name];
+  if (raw === undefined || raw === '') return null;
+  const value = parseIncome(raw);
+  if (value === null) throw invalid(name, `${name} must be a dollar amount`);
+  return value;
+}
+
+function enumParam(params, name, values) {
+  const raw = params[name];
+  if (raw === undefined || raw === '') return null;
+  if (!values.includes(raw)) throw invalid(name, `${name} must be one of ${values.join(', ')}`);
+  return raw;
+}
+
+function stateParam(value) {
+  if (!/^[A-Za-z]{2}$/.test(value)) throw invalid('state', 'state must be a two-letter state code');
+  return value.toUpperCase();
+}
+
+// A plan year with plans loaded, or the default year when absent
+async function yearParam(params) {
+  const years = await listPlanYears();
+  const raw = params.year;
+  if (raw === undefined || raw === '') return defaultPlanYear(years);
+  if (!years.includes(Number(raw))) {
+    throw invalid('year', years.length > 0 ? `year must be one of ${years.join(', ')}` : 'No plan years have been imported');
+  }
+  return Number(raw);
+}
+
+function planIdParam(value, name = 'id') {
+  if (!PLAN_ID.test(value)) throw invalid(name, `${name} must be a HIOS plan ID like 12345TX0010001-01`);
+  return value.toUpperCase();
+}
+
+// v1 response objects are snake_case and list their fields, so service
+// results and database rows only reach clients as documented in openapi.js
+
+const PLAN_FIELDS = [
+  'plan_id', 'plan_year', 'standard_component_id', 'plan_marketing_name', 'hios_issuer_id', 'issuer_name',
+  'state_code', 'service_area_id', 'market_coverage', 'metal_level', 'plan_type', 'is_new_plan',
+  'plan_effective_date', 'plan_expiration_date', 'out_of_country_coverage', 'national_network', 'child_only_offering',
+  'medical_deductible_individual', 'medical_deductible_family', 'drug_deductible_individual', 'drug_deductible_family',
+  'medical_moop_individual', 'medical_moop_family', 'drug_moop_individual', 'drug_moop_family', 'hsa_eligible',
+];
+
+const BENEFIT_FIELDS = [
+  'benefit_name', 'is_covered', 'copay_in_network', 'copay_out_of_network', 'coinsurance_in_network',
+  'coinsurance_out_of_network', 'is_ehb', 'quantity_limit', 'limit_unit', 'limit_quantity', 'exclusions', 'explanation',
+];
+
+function pick(row, fields) {
+  return Object.fromEntries(fields.map(field => [field, row[field] === undefined ? null : row[field]]));
+}
+
+function planResponse(plan) {
+  return pick(plan, PLAN_FIELDS);
+}
+
+function annualCostResponse(cost) {
+  return {
+    usage: cost.usage,
+    usage_label: cost.usageLabel,
+    premiums: cost.premiums,
+    out_of_pocket: cost.outOfPocket,
+    not_covered: cost.notCovered,
+    total: cost.total,
+    services: cost.services.map(({ key, label, count, cost: total }) => ({ key, label, count, cost: total })),
+  };
+}
+
+// A plan priced for a household by searchCountyPlans or findRenewal
+function pricedPlanResponse(plan) {
+  return {
+    ...planResponse(plan),
+    csr_label: plan.csr_label || null,
+    monthly_premium: plan.monthly_premium ?? null,
+    subsidized_premium: plan.subsidized_premium ?? null,
+    comparison_premium: plan.comparison_premium ?? null,
+    annual_cost: plan.annual_cost ? annualCostResponse(plan.annual_cost) : null,
+    benefit_matches: plan.benefit_matches || [],
+  };
+}
+
+// A tax credit estimate from estimateSubsidy
+function estimateResponse(estimate) {
+  return {
+    eligible: estimate.eligible,
+    subsidy: estimate.subsidy,
+    fpl_percent: estimate.fplPercent,
+    monthly_contribution: estimate.monthlyContribution,
+    year: estimate.year,
+    schedule: estimate.schedule,
+    schedule_label: estimate.scheduleLabel,
+  };
+}
+
+function subsidyResponse(subsidy) {
+  if (!subsidy) return null;
+  return {
+    ...estimateResponse(subsidy),
+    benchmark_premium: subsidy.benchmarkPremium,
+    benchmark_plan_id: subsidy.benchmarkPlanId,
+    comparison: subsidy.comparison ? estimateResponse(subsidy.comparison) : null,
+  };
+}
+
+function householdResponse(household) {
+  return {
+    size: household.size,
+    tribal: household.tribal,
+    members: household.members.map(({ age, tobacco, applying }) => ({ age, tobacco, applying })),
+  };
+}
+
+function medicaidResponse(medicaid) {
+  if (!medicaid) return null;
+  return {
+    state: medicaid.state,
+    state_name: medicaid.stateName,
+    expansion: medicaid.expansion,
+    fpl_percent: medicaid.fplPercent,
+    any_eligible: medicaid.anyEligible,
+    coverage_gap: medicaid.coverageGap,
+    members: medicaid.members.map(m => ({
+      age: m.age,
+      tobacco: m.tobacco,
+      applying: m.applying,
+      program: m.program,
+      coverage_gap: m.coverageGap,
+    })),
+  };
+}
+
+// Endpoint handlers take the request and return { data, meta }. The
+// deprecated unversioned routes pass { legacy: true } for the shapes they
+// returned before /api/v1.
+
+// Counties have plans in any year unless year= is given
+async function lookupZipcode(req) {
+  if (!/^\d{3,5}$/.test(req.params.zip)) throw invalid('zip', 'zip must be a 5-digit ZIP code');
+  const year = req.query.year ? await yearParam(req.query) : null;
+  const location = await lookupZip(req.params.zip, year);
+
+  if (!location) {
+    throw notFound('Zip code not found');
+  }
+
+  const { state, city, cities, counties, details } = location;
+  const data = {
+    state,
+    counties,
+    city,
+    cities,
+    county_details: details.map(d => ({
+      name: d.name,
+      fips: d.fips,
+      state: d.state,
+      residential_share: d.share,
+      has_plans: d.hasPlans,
+    })),
+  };
+  if (counties.length === 0) {
+    data.message = 'No marketplace plans available in this area';
+  }
+  return { data };
+}
+
+async function listYears() {
+  const years = await listPlanYears();
+  return { data: { years, default: defaultPlanYear(years) } };
+}
+
+// The source files behind the data, from the import manifest
+async function listSources() {
+  const updatedAt = await getDataUpdatedAt();
+  return { data: { updated_at: updatedAt ? updatedAt.toISOString() : null, files: await listImports() } };
+}
+
+async function listStates(req) {
+  return { data: await listStatesWithPlans(await yearParam(req.query)) };
+}
+
+async function listCounties(req) {
+  return { data: await listCountiesWithPlans(stateParam(req.params.state), await yearParam(req.query)) };
+}
+
+// Plans for a county with the same household pricing, filters and sorting
+// as the /plans page. page= and per_page= select a page of results.
+async function listPlans(req, { legacy = false } = {}) {
+  const state = stateParam(req.params.state);
+  const { county } = req.params;
+  await yearParam(req.query);
+  enumParam(req.query, 'sort', Object.keys(SORTS));
+  incomeParam(req.query, 'income');
+
+  // The unversioned route returned every plan
+  if (legacy) {
+    const result = await searchCountyPlans(state, county, req.query);
+    return { data: result.plans };
+  }
+
+  const page = intParam(req.query, 'page', { fallback: 1 });
+  const perPage = intParam(req.query, 'per_page', { max: MAX_PER_PAGE, fallback: DEFAULT_PER_PAGE });
+  const result = await searchCountyPlans(state, county, req.query, { page, perPage });
+  return {
+    data: {
+      state,
+      county,
+      rating_area: result.ratingArea,
+      year: result.year,
+      household: householdResponse(result.household),
+      income: result.income,
+      subsidy: subsidyResponse(result.subsidyInfo),
+      medicaid: medicaidResponse(result.medicaid),
+      sort: result.sort,
+      facets: result.facetCounts,
+      plans: result.plans.map(pricedPlanResponse),
+    },
+    meta: {
+      page: result.page,
+      per_page: result.perPage,
+      total: result.total,
+      total_pages: result.pageCount,
+    },
+  };
+}
+
+// The plan in year= when given; otherwise in the default year, or its
+// latest year when it isn't offered then
+async function findPlan(id, params) {
+  const year = params.year ? await yearParam(params) : null;
+  const plan = await getPlanById(id, year);
+  if (!plan) {
+    throw notFound('Plan not found');
+  }
+  if (year && plan.plan_year !== year) {
+    throw notFound(`Plan not offered in ${year}`);
+  }
+  return plan;
+}
+
+async function getPlan(req, { legacy = false } = {}) {
+  const id = planIdParam(req.params.id);
+  const plan = await findPlan(id, req.query);
+  const { county, zipcode } = req.query;
+  const ratingArea = await resolveRatingArea(plan.state_code, county, zipcode);
+
+  // Every benefit row the plan files, covered or not, from its variant or
+  // standard component ID as on the plan page
+  const benefits = (await getBenefitsForPlans([plan], { withNotCovered: true }))[plan.plan_id];
+
+  // The Rate PUF keys rates by standard component ID, without the CSR variant
+  const rates = (await getRateTable(plan.standard_component_id, plan.plan_year, ratingArea))
+    .map(rate => ({ age: rate.age, individual_rate: rate.individual_rate }));
+
+  if (legacy) return { data: { plan, benefits, rates, rating_area: ratingArea } };
+  return {
+    data: {
+      plan: planResponse(plan),
+      benefits: benefits.map(b => pick(b, BENEFIT_FIELDS)),
+      rates,
+      rating_area: ratingArea,
     }
+  };
+}
+
+// Tax credit and net premiums across an income range for a household in a
+// plan year. plans=id1,id2 adds those plans to the benchmark; min, max and
+// step set the income range and schedule=enhanced models the enhanced credit
+// schedule.
+async function getSubsidyCurve(req, { legacy = false } = {}) {
+  const state = stateParam(req.params.state);
+  const { county } = req.params;
+  const { zipcode, schedule } = req.query;
+  const household = parseHousehold(req.query);
+  const year = await yearParam(req.query);
+
+  const planIds = req.query.plans
+    ? String(req.query.plans).split(',').slice(0, 4).map(id => planIdParam(id, 'plans'))
+    : [];
+  const plans = (await getPlansById(planIds, year)).filter(p => p.plan_year === year);
+
+  if (schedule && !getSchedule({ year, schedule })) {
+    throw invalid('schedule', `Unknown tax credit schedule: ${schedule}`);
+  }
+
+  const ratingArea = await resolveRatingArea(state, county, zipcode);
+  const curve = await buildSubsidyCurve({
+    state,
+    county,
+    zipcode,
+    ratingArea,
+    household,
+    plans,
+    year,
+    schedule: schedule || null,
+    income: incomeParam(req.query, 'income'),
+    range: {
+      min: incomeParam(req.query, 'min'),
+      max: incomeParam(req.query, 'max'),
+      step: incomeParam(req.query, 'step'),
+    },
+  });
+
+  if (!curve) {
+    throw notFound('No benchmark Silver plan found for this county');
   }
+  if (legacy) return { data: { ...curve, rating_area: ratingArea } };
+  return {
+    data: {
+      year: curve.year,
+      schedule: curve.schedule,
+      schedule_label: curve.scheduleLabel,
+      fpl: curve.fpl,
+      household_size: curve.householdSize,
+      income: curve.income,
+      rating_area: ratingArea,
+      benchmark: curve.benchmark,
+      plans: curve.plans,
+      markers: curve.markers.map(m => ({ type: m.type, label: m.label, fpl_percent: m.fplPercent, income: m.income })),
+      range: curve.range,
+      points: curve.points.map(p => ({
+        income: p.income,
+        fpl_percent: p.fplPercent,
+        credit: p.credit,
+        benchmark: p.benchmark,
+        plans: p.plans,
+      })),
+    }
+  };
 }
 
-router.get('/zipcode/:zip', async (req, res, next) => {
-  const zip = req.params.zip.padStart(5, '0');
-  const entries = zipCodeMap.get(zip);
+// Tax-time reconciliation for a plan: projected=, actual=, filing=single|other,
+// months=, plus the household, county and zipcode
+async function getReconciliation(req, { legacy = false } = {}) {
+  const id = planIdParam(req.params.planId, 'planId');
+  enumParam(req.query, 'filing', FILING_STATUSES);
+  intParam(req.query, 'months', { max: 12 });
+  const inputs = parseReconcileQuery(req.query);
+  if (inputs.projectedIncome === null) {
+    throw invalid('projected', 'projected income is required');
+  }
+  if (incomeParam(req.query, 'actual') === null) {
+    throw invalid('actual', 'actual income is required');
+  }
 
-  if (!entries || entries.length === 0) {
-    return res.status(404).json({ error: 'Zip code not found' });
+  const plan = await findPlan(id, req.query);
+  const { county, zipcode } = req.query;
+  const ratingArea = await resolveRatingArea(plan.state_code, county, zipcode);
+
+  const result = await reconcile({
+    plan, county, zipcode, ratingArea, household: parseHousehold(req.query), ...inputs
+  });
+  if (!result) {
+    throw notFound('No premium or benchmark plan found for this household and county');
   }
+  if (legacy) return { data: { plan_id: plan.plan_id, rating_area: ratingArea, ...result } };
 
-  try {
-    const uniqueCounties = [...new Set(entries.map(e => e.county))];
-    const state = entries[0].state;
-
-    const serviceAreaCounties = await dbQuery(`
-      SELECT DISTINCT sa.county_name
-      FROM service_areas sa
-      JOIN plans p ON p.service_area_id = sa.service_area_id AND p.state_code = sa.state_code
-      WHERE sa.state_code = ? AND sa.county_name IS NOT NULL AND p.market_coverage = 'Individual'
-    `, [state]);
-    const countyNames = serviceAreaCounties.map(r => r.county_name);
-
-    const availableCounties = [];
-    for (const zipCounty of uniqueCounties) {
-      if (countyNames.includes(zipCounty)) {
-        availableCounties.push(zipCounty);
-        continue;
-      }
-
-      const zipCountyLower = zipCounty.toLowerCase();
-      for (const saCounty of countyNames) {
-        const saCountyLower = saCounty.toLowerCase();
-        const saCountyBase = saCountyLower.replace(/ county| municipality| borough| parish| census area| city and borough/gi, '').trim();
-
-        if (saCountyLower.startsWith(zipCountyLower) ||
-            saCountyLower.includes(zipCountyLower + ' ') ||
-            saCountyBase === zipCountyLower) {
-          availableCounties.push(saCounty);
-          break;
-        }
-      }
+  const incomeEstimate = estimate => ({
+    income: estimate.income,
+    ...estimateResponse(estimate),
+    monthly_credit: estimate.monthlyCredit,
+  });
+  return {
+    data: {
+      plan_id: plan.plan_id,
+      plan_year: plan.plan_year,
+      rating_area: ratingArea,
+      year: result.year,
+      state: result.state,
+      filing_status: result.filingStatus,
+      months: result.months,
+      plan_premium: result.planPremium,
+      benchmark_premium: result.benchmarkPremium,
+      benchmark_plan_id: result.benchmarkPlanId,
+      projected: incomeEstimate(result.projected),
+      actual: incomeEstimate(result.actual),
+      advance_credit: result.advanceCredit,
+      allowed_credit: result.allowedCredit,
+      additional_credit: result.additionalCredit,
+      excess_advance: result.excessAdvance,
+      repayment_cap: result.repaymentCap,
+      repayment: result.repayment,
+      forgiven: result.forgiven,
     }
+  };
+}
 
-    if (availableCounties.length === 0) {
-      return res.json({
-        state,
-        counties: [],
-        city: entries[0].city,
-        message: 'No marketplace plans available in this area'
-      });
+// What a plan renews into in year=, the latest crosswalk by default, for the
+// household in county= or zipcode=. status is renewed, discontinued (no
+// plan named), varies (depends on the county; give zipcode=) or not_listed.
+async function getRenewal(req) {
+  const id = planIdParam(req.params.planId, 'planId');
+  incomeParam(req.query, 'income');
+  const years = await listRenewalYears();
+  if (years.length === 0) throw notFound('No Plan ID Crosswalk has been imported');
+  if (req.query.year !== undefined && req.query.year !== '' && !years.includes(Number(req.query.year))) {
+    throw invalid('year', `year must be one of ${years.join(', ')}`);
+  }
+
+  const result = await findRenewal({ ...req.query, plan: id });
+  if (!result) throw notFound('Plan not found in the crosswalk or the previous year\'s plans');
+
+  const status = !result.found ? 'not_listed'
+    : result.discontinued ? 'discontinued'
+      : result.varies ? 'varies'
+        : 'renewed';
+  return {
+    data: {
+      plan_id: result.planId,
+      year: result.year,
+      previous_year: result.previousYear,
+      state: result.state,
+      county: result.county,
+      status,
+      same_plan: result.samePlan,
+      renewal_plan_id: result.renewalPlanId,
+      crosswalk_level: result.crosswalk ? result.crosswalk.crosswalk_level : null,
+      reason: result.crosswalk ? result.crosswalk.reason : null,
+      current: result.current ? pricedPlanResponse(result.current) : null,
+      renewal: result.renewal ? pricedPlanResponse(result.renewal) : null,
+      premium_change: result.premiumChange,
+      deductible_change: result.deductibleChange,
+      alternatives: result.alternatives.map(p => ({ ...pricedPlanResponse(p), savings: p.savings })),
     }
+  };
+}
 
-    res.json({
-      state,
-      counties: [...new Set(availableCounties)],
-      city: entries[0].city
-    });
-  } catch (err) {
-    next(err);
+// Plan search for the search box: q= is a plan name, issuer or HIOS plan ID,
+// optionally scoped with state= and county=. match is the plan for an exact ID.
+async function search(req) {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (!q) {
+    throw invalid('q', 'q is required');
   }
-});
+  const state = req.query.state ? stateParam(req.query.state) : null;
+  const limit = intParam(req.query, 'limit', { max: 50, fallback: 10 });
+  const year = await yearParam(req.query);
+  const match = await findPlanById(q, year);
+  const results = await searchPlans(q, { state, county: req.query.county, year, limit });
+  return {
+    data: {
+      query: q,
+      year,
+      match: match ? { plan_id: match.plan_id, plan_marketing_name: match.plan_marketing_name, state_code: match.state_code, plan_year: match.plan_year } : null,
+      results,
+    }
+  };
+}
+
+// The unversioned routes returned county rows and every plan as an array
+const endpoints = [
+  { path: '/zipcode/:zip', handler: lookupZipcode },
+  { path: '/years', handler: listYears },
+  { path: '/imports', handler: listSources },
+  { path: '/states', handler: listStates },
+  { path: '/counties/:state', handler: listCounties, legacy: ({ data }) => data.map(name => ({ county_name: name })) },
+  { path: '/plans/:state/:county', handler: listPlans },
+  { path: '/plan/:id', handler: getPlan },
+  { path: '/subsidy-curve/:state/:county', handler: getSubsidyCurve },
+  { path: '/reconcile/:planId', handler: getReconciliation },
+  { path: '/renewal/:planId', handler: getRenewal },
+  { path: '/search', handler: search },
+];
+
+// Lookups change only with an import, so responses carry an ETag for the
+// data version and may be cached for API_MAX_AGE seconds
+const API_MAX_AGE = 300;
+
+for (const endpoint of endpoints) {
+  v1.get(endpoint.path, httpCache({ maxAge: API_MAX_AGE }), async (req, res, next) => {
+    try {
+      const { data, meta = {} } = await endpoint.handler(req);
+      res.json({ data, meta });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  legacy.get(endpoint.path, httpCache({ maxAge: API_MAX_AGE }), async (req, res, next) => {
+    res.set('Deprecation', 'true');
+    res.set('Link', `</api/v1${req.path}>; rel="successor-version"`);
+    try {
+      const result = await endpoint.handler(req, { legacy: true });
+      res.json(endpoint.legacy ? endpoint.legacy(result) : result.data);
+    } catch (err) {
+      next(err);
+    }
+  });
+}
+
+// Bulk quotes run as background jobs: POST households as JSON
+// { households: [...] } or as a CSV body, poll the job, then download results
+
+async function createQuotes(req) {
+  let households;
+  if (typeof req.body === 'string') {
+    try {
+      households = parseQuoteCsv(req.body);
+    } catch (err) {
+      throw invalid('body', `Could not read the CSV: ${err.message}`);
+    }
+  } else {
+    households = req.body && req.body.households;
+    if (!Array.isArray(households)) throw invalid('households', 'households must be an array');
+  }
+  if (households.length === 0) {
+    throw invalid('households', 'List at least one household');
+  }
+  if (households.length > MAX_HOUSEHOLDS) {
+    throw invalid('households', `A job can quote at most ${MAX_HOUSEHOLDS} households`);
+  }
+
+  const job = createQuoteJob(households);
+  if (!job) {
+    throw new ApiError(503, 'busy', 'Too many quote jobs are waiting; try again in a few minutes');
+  }
+  return { data: describeJob(job) };
+}
+
+function findQuoteJob(req) {
+  const job = getQuoteJob(req.params.id);
+  if (!job) throw notFound('Quote job not found; finished jobs are kept for an hour');
+  return job;
+}
+
+const quoteBody = [
+  express.json({ limit: '2mb' }),
+  express.text({ type: 'text/csv', limit: '2mb' }),
+];
 
-router.get('/states', async (req, res, next) => {
+v1.post('/quotes', ...quoteBody, async (req, res, next) => {
   try {
-    const states = await dbQuery(`
-      SELECT DISTINCT state_code FROM plans
-      WHERE market_coverage = 'Individual'
-      ORDER BY state_code
-    `);
-    res.json(states.map(s => s.state_code));
+    const { data } = await createQuotes(req);
+    res.status(202).location(`/api/v1/quotes/${data.id}`).json({ data, meta: {} });
   } catch (err) {
     next(err);
   }
 });
 
-router.get('/counties/:state', async (req, res, next) => {
+// Job status changes as the job runs
+v1.get('/quotes/:id', (req, res, next) => {
+  res.set('Cache-Control', 'no-store');
   try {
-    const counties = await dbQuery(`
-      SELECT DISTINCT sa.county_name
-      FROM service_areas sa
-      JOIN plans p ON p.service_area_id = sa.service_area_id AND p.state_code = sa.state_code
-      WHERE sa.state_code = ?
-        AND sa.county_name IS NOT NULL
-        AND p.market_coverage = 'Individual'
-      ORDER BY sa.county_name
-    `, [req.params.state]);
-    res.json(counties);
+    res.json({ data: describeJob(findQuoteJob(req)), meta: {} });
   } catch (err) {
     next(err);
   }
 });
 
-router.get('/plans/:state/:county', async (req, res, next) => {
+v1.get('/quotes/:id/results', async (req, res, next) => {
+  res.set('Cache-Control', 'no-store');
   try {
-    const { state, county } = req.params;
-    const { metal, type, age } = req.query;
-
-    let query = `
-      SELECT DISTINCT p.*
-      FROM plans p
-      JOIN service_areas sa ON p.service_area_id = sa.service_area_id AND p.state_code = sa.state_code
-      WHERE sa.state_code = ? AND sa.county_name = ? AND p.market_coverage = 'Individual'
-        AND p.metal_level NOT IN ('High', 'Low')
-    `;
-    const params = [state, county];
-
-    if (metal && metal !== 'all') {
-      query += ' AND p.metal_level = ?';
-      params.push(metal);
-    }
-    if (type && type !== 'all') {
-      query += ' AND p.plan_type = ?';
-      params.push(type);
-    }
-
-    query += ' ORDER BY p.metal_level, p.plan_marketing_name';
-
-    const plans = await dbQuery(query, params);
-
-    if (age && plans.length > 0) {
-      const planIds = plans.map(p => p.plan_id);
-      let ratesMap = {};
-
-      if (isPostgres()) {
-        const ratesResult = await getPool().query(`
-          SELECT plan_id, individual_rate FROM rates
-          WHERE plan_id = ANY($1) AND age = $2 AND (tobacco = 'No Preference' OR tobacco IS NULL)
-        `, [planIds, age]);
-        ratesMap = Object.fromEntries(ratesResult.rows.map(r => [r.plan_id, r.individual_rate]));
-      } else {
-        const db = getDatabase();
-        try {
-          const stmt = db.prepare(`
-            SELECT plan_id, individual_rate FROM rates
-            WHERE plan_id = ? AND age = ? AND (tobacco = 'No Preference' OR tobacco IS NULL) LIMIT 1
-          `);
-          for (const id of planIds) {
-            const rate = stmt.get(id, age);
-            if (rate) ratesMap[id] = rate.individual_rate;
-          }
-        } finally {
-          db.close();
-        }
-      }
-
-      for (const plan of plans) {
-        plan.monthly_premium = ratesMap[plan.plan_id] || null;
-      }
+    const job = findQuoteJob(req);
+    const format = enumParam(req.query, 'format', Object.keys(FORMATS)) || 'csv';
+    if (job.status !== 'complete') {
+      throw new ApiError(409, 'not_ready', 'The quote job has not finished');
     }
 
-    res.json(plans);
+    const body = await exportTable(format, {
+      title: 'Quotes',
+      context: [
+        ['Households', job.total],
+        ['Not quoted', job.results.filter(q => q.error).length],
+      ],
+      columns: quoteColumns(job.results),
+      items: job.results,
+    });
+    res.set('Content-Type', FORMATS[format].contentType);
+    res.attachment(`quotes-${job.id.slice(0, 8)}.${FORMATS[format].extension}`);
+    res.send(body);
   } catch (err) {
     next(err);
   }
 });
 
-router.get('/plan/:id', async (req, res, next) => {
-  try {
-    const plans = await dbQuery('SELECT * FROM plans WHERE plan_id = ?', [req.params.id]);
-    if (plans.length === 0) {
-      return res.status(404).json({ error: 'Plan not found' });
-    }
-    const plan = plans[0];
-
-    const benefits = await dbQuery(
-      'SELECT * FROM benefits WHERE plan_id = ? ORDER BY benefit_name',
-      [req.params.id]
-    );
-
-    let ratesSql;
-    if (isPostgres()) {
-      ratesSql = `
-        SELECT DISTINCT age, individual_rate,
-          CASE
-            WHEN age = '0-14' THEN 0
-            WHEN age = '14 and under' THEN 0
-            WHEN age ~ '^[0-9]+$' THEN CAST(age AS INTEGER)
-            ELSE 100
-          END as sort_order
-        FROM rates
-        WHERE plan_id = ? AND (tobacco = 'No Preference' OR tobacco IS NULL)
-        ORDER BY sort_order
-      `;
-    } else {
-      ratesSql = `
-        SELECT DISTINCT age, individual_rate FROM rates
-        WHERE plan_id = ? AND (tobacco = 'No Preference' OR tobacco IS NULL)
-        ORDER BY CASE
-          WHEN age = '0-14' THEN 0
-          WHEN age = '14 and under' THEN 0
-          WHEN age GLOB '[0-9]*' THEN CAST(age AS INTEGER)
-          ELSE 100
-        END
-      `;
-    }
-    const rates = await dbQuery(ratesSql, [req.params.id]);
+v1.get('/openapi.json', (req, res) => {
+  res.json(openapi);
+});
 
-    res.json({ plan, benefits, rates });
-  } catch (err) {
-    next(err);
+v1.use((req, res, next) => {
+  next(new ApiError(404, 'not_found', `No API endpoint at ${req.method} /api/v1${req.path}`));
+});
+
+// Errors are JSON for API clients; unexpected errors are logged and their
+// details hidden in production, as the app-level handler does
+function errorBody(err) {
+  if (err instanceof ApiError) {
+    return { status: err.status, code: err.code, message: err.message, param: err.param };
+  }
+  // Malformed or oversized request bodies, from the body parsers
+  if (err.expose && err.status < 500) {
+    return { status: err.status, code: 'invalid_body', message: err.message, param: null };
   }
+  console.error(err.stack);
+  const message = process.env.NODE_ENV === 'production'
+    ? 'Something went wrong!'
+    : err.message || 'Something went wrong!';
+  return { status: 500, code: 'internal_error', message, param: null };
+}
+
+v1.use((err, req, res, next) => {
+  const { status, code, message, param } = errorBody(err);
+  res.status(status).json({ error: param ? { code, message, param } : { code, message } });
+});
+
+legacy.use((err, req, res, next) => {
+  const { status, message } = errorBody(err);
+  res.status(status).json({ error: message });
 });
 
-module.exports = router;
+module.exports = { v1, legacy };
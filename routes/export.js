@@ -0,0 +1,98 @@
+// CSV and Excel downloads of /plans results and /compare
+const express = require('express');
+const router = express.Router();
+const { netPremium, searchCountyPlans } = require('../services/plan-search');
+const { parseCompareIds, comparePlans } = require('../services/compare');
+const { getBenefitsForPlans } = require('../services/benefits');
+const { BENEFITS } = require('../services/benefit-filters');
+const { parseUsage, estimateAnnualCost } = require('../services/annual-cost');
+const { FORMATS, describePricing, describeSearch, exportPlans } = require('../services/export');
+
+// Cost-sharing columns for result lists: the benefits offered as filters
+const LIST_BENEFITS = Object.values(BENEFITS).map(b => ({ header: b.label, name: b.name }));
+
+function slug(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function sendExport(res, format, filename, body) {
+  res.set('Content-Type', FORMATS[format].contentType);
+  res.attachment(`${filename}.${FORMATS[format].extension}`);
+  res.send(body);
+}
+
+// Every plan matching the /plans filters, in the same order
+router.get('/plans', async (req, res, next) => {
+  try {
+    const { state, county, zipcode, format } = req.query;
+    if (!FORMATS[format]) {
+      return res.status(400).render('error', { message: 'Choose CSV or Excel to export.' });
+    }
+    if (!state || !county) {
+      return res.redirect('/');
+    }
+
+    const result = await searchCountyPlans(state, county, req.query);
+    const benefitsMap = await getBenefitsForPlans(result.plans, { withNotCovered: true });
+
+    const body = await exportPlans(format, {
+      title: 'Plans',
+      context: [
+        ...describePricing({ ...result, state, county, zipcode }),
+        ...describeSearch(result),
+      ],
+      plans: result.plans,
+      benefits: LIST_BENEFITS,
+      benefitsMap,
+    });
+    sendExport(res, format, `plans-${slug(state)}-${slug(county)}`, body);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// The compared plans with every benefit any of them lists
+router.get('/compare', async (req, res, next) => {
+  try {
+    const { zipcode, format } = req.query;
+    if (!FORMATS[format]) {
+      return res.status(400).render('error', { message: 'Choose CSV or Excel to export.' });
+    }
+    const planIds = parseCompareIds(req.query.ids);
+    if (planIds.length === 0) {
+      return res.redirect('/');
+    }
+
+    const result = await comparePlans(planIds, req.query);
+    if (result.plans.length === 0) {
+      return res.status(404).render('error', { message: 'Plan not found' });
+    }
+    if (result.error) {
+      return res.status(400).render('error', { message: result.error });
+    }
+
+    const usage = parseUsage(req.query);
+    const context = describePricing({ ...result, zipcode });
+    if (usage) {
+      context.push(['Expected use', usage.label]);
+      for (const plan of result.plans) {
+        plan.annual_cost = estimateAnnualCost(
+          plan, result.benefitsMap[plan.plan_id], result.pricedHousehold, usage, netPremium(plan)
+        );
+      }
+    }
+
+    const body = await exportPlans(format, {
+      title: 'Comparison',
+      context,
+      plans: result.plans,
+      benefits: result.allBenefits.map(name => ({ header: name, name })),
+      benefitsMap: await getBenefitsForPlans(result.plans, { withNotCovered: true }),
+    });
+    sendExport(res, format, 'plan-comparison', body);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
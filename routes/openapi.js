@@ -0,0 +1,700 @@
+// OpenAPI description of /api/v1, served at /api/v1/openapi.json
+const { SORTS, DEFAULT_PER_PAGE, MAX_PER_PAGE } = require('../services/plan-search');
+const { FILING_STATUSES } = require('../services/reconciliation');
+const { RANGE_FILTERS } = require('../services/plan-filters');
+const { USAGE_PROFILES } = require('../services/annual-cost');
+const { MAX_HOUSEHOLDS } = require('../services/quotes');
+const { FORMATS } = require('../services/export');
+
+const query = (name, schema, description, extra = {}) => ({ name, in: 'query', schema, description, ...extra });
+const pathParam = (name, description, schema = { type: 'string' }) => ({ name, in: 'path', required: true, schema, description });
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const yearParam = query('year', { type: 'integer' },
+  'Plan year; one of those listed by /years. Defaults to the year being shopped for: next year from November 1 once its plans are imported');
+
+// Household parameters shared by every priced endpoint
+const householdParams = [
+  query('members[0][age]', { type: 'integer', minimum: 0, maximum: 120 },
+    'Age of each household member; repeat with members[1][age] and so on (up to 8)'),
+  query('members[0][tobacco]', { type: 'string', enum: ['on', 'yes', 'no'] }, 'Tobacco use for a member'),
+  query('members[0][applying]', { type: 'string', enum: ['yes', 'no'] }, 'Whether a member needs coverage (default yes)'),
+  query('age', { type: 'integer' }, 'Single applicant age, used when no members are given'),
+  query('household', { type: 'integer', minimum: 1, maximum: 8 }, 'Household size for tax credits when only age is given'),
+  query('tribal', { type: 'string', enum: ['on'] }, 'Household of American Indian or Alaska Native members'),
+  query('zipcode', { type: 'string' }, 'ZIP code, to pick the rating area in counties with more than one'),
+];
+
+const envelope = (data, meta = { type: 'object' }) => ({
+  type: 'object',
+  required: ['data', 'meta'],
+  properties: { data, meta },
+});
+
+const ok = (description, data, meta) => ({
+  description,
+  content: { 'application/json': { schema: envelope(data, meta) } },
+});
+
+const errors = (...statuses) => Object.fromEntries(statuses.map(status => [status, { $ref: `#/components/responses/Error${status}` }]));
+
+module.exports = {
+  openapi: '3.0.3',
+  info: {
+    title: 'ACA Plan Browser API',
+    version: '1.0.0',
+    description: 'ACA Marketplace plans, household premiums and premium tax credits from the CMS Public Use Files. '
+      + 'Successful responses are { data, meta }; errors are { error: { code, message, param } }. '
+      + 'Lookups carry an ETag and Last-Modified for the imported data and may be cached for five minutes; '
+      + 'send If-None-Match to get 304 Not Modified until the next import. '
+      + 'Several plan years can be imported side by side; year= picks one and defaults to the year listed as default by /years. '
+      + 'The unversioned /api routes are deprecated aliases of these endpoints.',
+  },
+  servers: [{ url: '/api/v1' }],
+  paths: {
+    '/zipcode/{zip}': {
+      get: {
+        summary: 'States and counties with plans for a ZIP code',
+        parameters: [
+          pathParam('zip', '5-digit ZIP code'),
+          query('year', { type: 'integer' }, 'Only count counties with plans in this plan year; any year when absent'),
+        ],
+        responses: {
+          200: ok('Location', {
+            type: 'object',
+            properties: {
+              state: { type: 'string' },
+              counties: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Counties of the ZIP in state with marketplace plans, most residential addresses first',
+              },
+              city: { type: 'string' },
+              cities: { type: 'array', items: { type: 'string' } },
+              county_details: {
+                type: 'array',
+                description: 'Every county the ZIP reaches into',
+                items: {
+                  type: 'object',
+                  properties: {
+                    name: { type: 'string' },
+                    fips: { type: 'string', nullable: true, description: '5-digit county FIPS code' },
+                    state: { type: 'string' },
+                    residential_share: {
+                      type: 'number',
+                      nullable: true,
+                      description: 'Fraction of the ZIP\'s residential addresses in the county',
+                    },
+                    has_plans: { type: 'boolean', description: 'Whether marketplace plans are sold in this part of the county' },
+                  },
+                },
+              },
+              message: { type: 'string', description: 'Present when no county in the ZIP has marketplace plans' },
+            },
+          }),
+          ...errors(400, 404),
+        },
+      },
+    },
+    '/years': {
+      get: {
+        summary: 'Plan years with imported plans',
+        responses: {
+          200: ok('Plan years', {
+            type: 'object',
+            properties: {
+              years: { type: 'array', items: { type: 'integer' } },
+              default: { type: 'integer', nullable: true, description: 'The year used when year= is absent' },
+            },
+          }),
+        },
+      },
+    },
+    '/imports': {
+      get: {
+        summary: 'Source files of the data being served, from the import manifest',
+        responses: {
+          200: ok('Import manifest', {
+            type: 'object',
+            properties: {
+              updated_at: { type: 'string', format: 'date-time', nullable: true, description: 'When the data was last updated' },
+              files: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    file_name: { type: 'string' },
+                    puf_type: { type: 'string', description: 'The table the file loads' },
+                    plan_year: { type: 'integer', nullable: true },
+                    checksum: { type: 'string', description: 'SHA-256 of the file' },
+                    row_count: { type: 'integer', nullable: true },
+                    imported_at: { type: 'string', format: 'date-time' },
+                  },
+                },
+              },
+            },
+          }),
+        },
+      },
+    },
+    '/states': {
+      get: {
+        summary: 'States with individual market plans',
+        parameters: [yearParam],
+        responses: { 200: ok('State codes', { type: 'array', items: { type: 'string' } }), ...errors(400) },
+      },
+    },
+    '/counties/{state}': {
+      get: {
+        summary: 'Counties with individual market plans',
+        parameters: [pathParam('state', 'Two-letter state code'), yearParam],
+        responses: { 200: ok('County names', { type: 'array', items: { type: 'string' } }), ...errors(400) },
+      },
+    },
+    '/plans/{state}/{county}': {
+      get: {
+        summary: 'Plans sold in a county, priced for a household',
+        description: 'The same plans, premiums and order as the /plans page.',
+        parameters: [
+          pathParam('state', 'Two-letter state code'),
+          pathParam('county', 'County name'),
+          yearParam,
+          ...householdParams,
+          query('income', { type: 'string' }, 'Annual household income, for tax credits and cost-sharing reductions'),
+          query('enhanced', { type: 'string', enum: ['on'] }, 'Also price plans under the enhanced credit schedule'),
+          query('metal', { type: 'array', items: { type: 'string' } }, 'Metal levels; repeat for more than one', { explode: true }),
+          query('type', { type: 'array', items: { type: 'string' } }, 'Plan types (HMO, PPO, ...); repeat for more than one', { explode: true }),
+          query('issuer', { type: 'array', items: { type: 'string' } }, 'Issuer names; repeat for more than one', { explode: true }),
+          ...Object.entries(RANGE_FILTERS).flatMap(([key, range]) => [
+            query(`${key}_min`, { type: 'number', minimum: 0 }, `Minimum ${range.label.toLowerCase()}`),
+            query(`${key}_max`, { type: 'number', minimum: 0 }, `Maximum ${range.label.toLowerCase()}`),
+          ]),
+          query('bf', { type: 'array', items: { type: 'string' } },
+            'Benefit criteria as benefit:condition[:value], e.g. generic:copay_max:0; repeat for more than one', { explode: true }),
+          query('usage', { type: 'string', enum: [...Object.keys(USAGE_PROFILES), 'custom'] }, 'Expected healthcare use for annual cost estimates'),
+          query('sort', { type: 'string', enum: Object.keys(SORTS), default: 'price_asc' }, 'Sort order'),
+          query('page', { type: 'integer', minimum: 1, default: 1 }, 'Page number'),
+          query('per_page', { type: 'integer', minimum: 1, maximum: MAX_PER_PAGE, default: DEFAULT_PER_PAGE }, 'Plans per page'),
+        ],
+        responses: {
+          200: ok('A page of plans', {
+            type: 'object',
+            properties: {
+              state: { type: 'string' },
+              county: { type: 'string' },
+              rating_area: { type: 'string', nullable: true },
+              year: { type: 'integer', nullable: true },
+              household: ref('Household'),
+              income: { type: 'number', nullable: true },
+              subsidy: { allOf: [ref('Subsidy')], nullable: true },
+              medicaid: { allOf: [ref('Medicaid')], nullable: true, description: 'Present when income is given' },
+              sort: { type: 'string' },
+              facets: {
+                type: 'object',
+                description: 'Plans per metal, type and issuer option, with the other filters applied',
+                additionalProperties: { type: 'object', additionalProperties: { type: 'integer' } },
+              },
+              plans: { type: 'array', items: ref('PricedPlan') },
+            },
+          }, ref('Pagination')),
+          ...errors(400),
+        },
+      },
+    },
+    '/plan/{id}': {
+      get: {
+        summary: 'A plan with its benefits and age rates',
+        parameters: [
+          pathParam('id', 'HIOS plan ID, e.g. 12345TX0010001-01'),
+          query('year', { type: 'integer' }, 'Plan year; without it the default year, or the plan\'s latest year when it isn\'t offered then'),
+          query('county', { type: 'string' }, 'County, to pick the rating area'),
+          query('zipcode', { type: 'string' }, 'ZIP code, to pick the rating area'),
+        ],
+        responses: {
+          200: ok('Plan detail', {
+            type: 'object',
+            properties: {
+              plan: ref('Plan'),
+              benefits: { type: 'array', items: ref('Benefit') },
+              rates: {
+                type: 'array',
+                description: 'Monthly non-tobacco rate for each age band, youngest first',
+                items: { type: 'object', properties: { age: { type: 'string' }, individual_rate: { type: 'string' } } },
+              },
+              rating_area: { type: 'string', nullable: true },
+            },
+          }),
+          ...errors(400, 404),
+        },
+      },
+    },
+    '/subsidy-curve/{state}/{county}': {
+      get: {
+        summary: 'Tax credit and net premiums across a range of incomes',
+        parameters: [
+          pathParam('state', 'Two-letter state code'),
+          pathParam('county', 'County name'),
+          yearParam,
+          ...householdParams,
+          query('plans', { type: 'string' }, 'Up to 4 comma-separated plan IDs to chart'),
+          query('income', { type: 'string' }, 'Current income, marked on the curve'),
+          query('min', { type: 'string' }, 'Lowest income'),
+          query('max', { type: 'string' }, 'Highest income'),
+          query('step', { type: 'string' }, 'Income step'),
+          query('schedule', { type: 'string', enum: ['standard', 'enhanced'] }, 'Applicable percentage schedule'),
+        ],
+        responses: {
+          200: ok('Curve', {
+            type: 'object',
+            properties: {
+              year: { type: 'integer', nullable: true, description: 'Year of the poverty guidelines and percentage tables used' },
+              schedule: { type: 'string', nullable: true },
+              schedule_label: { type: 'string', nullable: true },
+              fpl: { type: 'number', description: 'Federal poverty level for the household size' },
+              household_size: { type: 'integer' },
+              income: { type: 'number', nullable: true },
+              rating_area: { type: 'string', nullable: true },
+              benchmark: { type: 'object', properties: { plan_id: { type: 'string' }, premium: { type: 'number' } } },
+              plans: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    plan_id: { type: 'string' },
+                    name: { type: 'string' },
+                    metal_level: { type: 'string' },
+                    premium: { type: 'number' },
+                  },
+                },
+              },
+              markers: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    type: { type: 'string', enum: ['floor', 'csr', 'cliff'] },
+                    label: { type: 'string' },
+                    fpl_percent: { type: 'number' },
+                    income: { type: 'number' },
+                  },
+                },
+              },
+              range: { type: 'object', properties: { min: { type: 'number' }, max: { type: 'number' }, step: { type: 'number' } } },
+              points: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    income: { type: 'number' },
+                    fpl_percent: { type: 'number' },
+                    credit: { type: 'number', description: 'Monthly tax credit' },
+                    benchmark: { type: 'number', description: 'Benchmark premium after the credit' },
+                    plans: { type: 'object', additionalProperties: { type: 'number' }, description: 'Premium after the credit by plan ID' },
+                  },
+                },
+              },
+            },
+          }),
+          ...errors(400, 404),
+        },
+      },
+    },
+    '/reconcile/{planId}': {
+      get: {
+        summary: 'Tax-time reconciliation of advance premium tax credits',
+        parameters: [
+          pathParam('planId', 'HIOS plan ID'),
+          query('year', { type: 'integer' }, 'Plan year; without it the default year, or the plan\'s latest year when it isn\'t offered then'),
+          ...householdParams,
+          query('county', { type: 'string' }, 'County'),
+          query('projected', { type: 'string' }, 'Income projected at enrollment', { required: true }),
+          query('actual', { type: 'string' }, 'Actual income for the year', { required: true }),
+          query('filing', { type: 'string', enum: FILING_STATUSES, default: 'other' }, 'Filing status for repayment limits'),
+          query('months', { type: 'integer', minimum: 1, maximum: 12, default: 12 }, 'Months enrolled'),
+        ],
+        responses: {
+          200: ok('Reconciliation', {
+            type: 'object',
+            properties: {
+              plan_id: { type: 'string' },
+              plan_year: { type: 'integer' },
+              rating_area: { type: 'string', nullable: true },
+              year: { type: 'integer', nullable: true, description: 'Year of the poverty guidelines and percentage tables used' },
+              state: { type: 'string' },
+              filing_status: { type: 'string', enum: FILING_STATUSES },
+              months: { type: 'integer' },
+              plan_premium: { type: 'number' },
+              benchmark_premium: { type: 'number' },
+              benchmark_plan_id: { type: 'string' },
+              projected: ref('IncomeEstimate'),
+              actual: ref('IncomeEstimate'),
+              advance_credit: { type: 'number', description: 'Credit paid in advance over the months enrolled' },
+              allowed_credit: { type: 'number', description: 'Credit allowed on actual income' },
+              additional_credit: { type: 'number', description: 'Credit still due at tax time' },
+              excess_advance: { type: 'number' },
+              repayment_cap: { type: 'number', nullable: true },
+              repayment: { type: 'number', description: 'Excess advance credit repaid at tax time' },
+              forgiven: { type: 'number', description: 'Excess advance credit above the repayment cap' },
+            },
+          }),
+          ...errors(400, 404),
+        },
+      },
+    },
+    '/renewal/{planId}': {
+      get: {
+        summary: 'The plan a current plan renews into, from the CMS Plan ID Crosswalk',
+        parameters: [
+          pathParam('planId', 'HIOS plan ID of the current plan'),
+          query('year', { type: 'integer' }, 'Year renewed into; defaults to the latest crosswalk imported'),
+          ...householdParams,
+          query('county', { type: 'string' }, 'County, for issuers that renew a plan differently by county'),
+          query('income', { type: 'string' }, 'Annual household income, for premiums after tax credits'),
+        ],
+        responses: {
+          200: ok('Renewal', {
+            type: 'object',
+            properties: {
+              plan_id: { type: 'string' },
+              year: { type: 'integer' },
+              previous_year: { type: 'integer' },
+              state: { type: 'string' },
+              county: { type: 'string', nullable: true },
+              status: {
+                type: 'string',
+                enum: ['renewed', 'discontinued', 'varies', 'not_listed'],
+                description: 'varies when the renewal depends on the county and no county or ZIP code was given',
+              },
+              same_plan: { type: 'boolean' },
+              renewal_plan_id: { type: 'string', nullable: true },
+              crosswalk_level: { type: 'string', nullable: true },
+              reason: { type: 'string', nullable: true, description: 'ReasonForCrosswalk as published' },
+              current: { allOf: [ref('PricedPlan')], nullable: true },
+              renewal: { allOf: [ref('PricedPlan')], nullable: true },
+              premium_change: { type: 'number', nullable: true, description: 'Monthly premium after tax credits, renewal minus current' },
+              deductible_change: { type: 'number', nullable: true },
+              alternatives: {
+                type: 'array',
+                description: 'Up to 5 plans of the same metal level in the county costing less than the renewal',
+                items: {
+                  allOf: [ref('PricedPlan'), {
+                    type: 'object',
+                    properties: { savings: { type: 'number', nullable: true, description: 'Monthly savings against the renewal' } },
+                  }],
+                },
+              },
+            },
+          }),
+          ...errors(400, 404),
+        },
+      },
+    },
+    '/search': {
+      get: {
+        summary: 'Search plans by name, issuer or plan ID',
+        parameters: [
+          query('q', { type: 'string' }, 'Search text or HIOS plan ID', { required: true }),
+          query('state', { type: 'string' }, 'Limit results to a state'),
+          query('county', { type: 'string' }, 'Limit results to a county in state'),
+          yearParam,
+          query('limit', { type: 'integer', minimum: 1, maximum: 50, default: 10 }, 'Maximum results'),
+        ],
+        responses: {
+          200: ok('Matches', {
+            type: 'object',
+            properties: {
+              query: { type: 'string' },
+              year: { type: 'integer' },
+              match: { type: 'object', nullable: true, description: 'The plan when q is an exact plan ID, in year when it is offered then' },
+              results: { type: 'array', items: ref('Plan') },
+            },
+          }),
+          ...errors(400),
+        },
+      },
+    },
+    '/quotes': {
+      post: {
+        summary: 'Quote many households as a background job',
+        description: `Send up to ${MAX_HOUSEHOLDS} households as JSON or as a CSV file with a header row of `
+          + 'ref, zipcode, state, county, ages, income, tribal and year, where ages is like 45t;43;12 and t marks tobacco use. '
+          + 'Each household needs a ZIP code, or a state and county. Poll the job until it is complete.',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['households'],
+                properties: { households: { type: 'array', maxItems: MAX_HOUSEHOLDS, items: ref('QuoteHousehold') } },
+              },
+            },
+            'text/csv': { schema: { type: 'string' } },
+          },
+        },
+        responses: {
+          202: {
+            description: 'Job queued; its URL is in the Location header',
+            content: { 'application/json': { schema: envelope(ref('QuoteJob')) } },
+          },
+          ...errors(400, 503),
+        },
+      },
+    },
+    '/quotes/{id}': {
+      get: {
+        summary: 'Progress of a quote job, with its quotes once complete',
+        description: 'Finished jobs are kept for an hour.',
+        parameters: [pathParam('id', 'Job ID')],
+        responses: { 200: ok('Job', ref('QuoteJob')), ...errors(404) },
+      },
+    },
+    '/quotes/{id}/results': {
+      get: {
+        summary: 'Download the quotes of a complete job',
+        parameters: [
+          pathParam('id', 'Job ID'),
+          query('format', { type: 'string', enum: Object.keys(FORMATS), default: 'csv' }, 'File format'),
+        ],
+        responses: {
+          200: {
+            description: 'One row per household',
+            content: Object.fromEntries(Object.values(FORMATS).map(f => [f.contentType.split(';')[0], { schema: { type: 'string', format: 'binary' } }])),
+          },
+          ...errors(400, 404, 409),
+        },
+      },
+    },
+  },
+  components: {
+    schemas: {
+      Plan: {
+        type: 'object',
+        description: 'A Plan Attributes PUF row. Cost sharing amounts are as published, e.g. "$5,000"',
+        properties: {
+          plan_id: { type: 'string' },
+          plan_year: { type: 'integer' },
+          standard_component_id: { type: 'string' },
+          plan_marketing_name: { type: 'string' },
+          hios_issuer_id: { type: 'string' },
+          issuer_name: { type: 'string' },
+          state_code: { type: 'string' },
+          service_area_id: { type: 'string' },
+          market_coverage: { type: 'string' },
+          metal_level: { type: 'string' },
+          plan_type: { type: 'string' },
+          is_new_plan: { type: 'string', nullable: true },
+          plan_effective_date: { type: 'string', nullable: true },
+          plan_expiration_date: { type: 'string', nullable: true },
+          out_of_country_coverage: { type: 'string', nullable: true },
+          national_network: { type: 'string', nullable: true },
+          child_only_offering: { type: 'string', nullable: true },
+          medical_deductible_individual: { type: 'string', nullable: true },
+          medical_deductible_family: { type: 'string', nullable: true },
+          drug_deductible_individual: { type: 'string', nullable: true },
+          drug_deductible_family: { type: 'string', nullable: true },
+          medical_moop_individual: { type: 'string', nullable: true },
+          medical_moop_family: { type: 'string', nullable: true },
+          drug_moop_individual: { type: 'string', nullable: true },
+          drug_moop_family: { type: 'string', nullable: true },
+          hsa_eligible: { type: 'string', nullable: true },
+        },
+      },
+      PricedPlan: {
+        allOf: [ref('Plan'), {
+          type: 'object',
+          properties: {
+            csr_label: { type: 'string', nullable: true },
+            monthly_premium: { type: 'number', nullable: true, description: 'Household premium before tax credits' },
+            subsidized_premium: { type: 'number', nullable: true, description: 'Premium after the tax credit, when eligible' },
+            comparison_premium: { type: 'number', nullable: true, description: 'Premium under the enhanced schedule, with enhanced=on' },
+            annual_cost: { allOf: [ref('AnnualCost')], nullable: true, description: 'Estimated annual cost, with usage or sort=annual_asc' },
+            benefit_matches: {
+              type: 'array',
+              description: 'Benefits matched by bf criteria',
+              items: { type: 'object', properties: { label: { type: 'string' }, value: { type: 'string' } } },
+            },
+          },
+        }],
+      },
+      Benefit: {
+        type: 'object',
+        description: 'A Benefits and Cost Sharing PUF row',
+        properties: Object.fromEntries([
+          'benefit_name', 'is_covered', 'copay_in_network', 'copay_out_of_network', 'coinsurance_in_network',
+          'coinsurance_out_of_network', 'is_ehb', 'quantity_limit', 'limit_unit', 'limit_quantity', 'exclusions', 'explanation',
+        ].map(name => [name, { type: 'string', nullable: true }])),
+      },
+      AnnualCost: {
+        type: 'object',
+        properties: {
+          usage: { type: 'string' },
+          usage_label: { type: 'string' },
+          premiums: { type: 'number', nullable: true, description: 'Premiums for the year after the tax credit' },
+          out_of_pocket: { type: 'number' },
+          not_covered: { type: 'number', description: 'Part of out_of_pocket for services the plan doesn\'t cover' },
+          total: { type: 'number', nullable: true },
+          services: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { key: { type: 'string' }, label: { type: 'string' }, count: { type: 'integer' }, cost: { type: 'number' } },
+            },
+          },
+        },
+      },
+      Estimate: {
+        type: 'object',
+        properties: {
+          eligible: { type: 'boolean' },
+          subsidy: { type: 'number', description: 'Monthly tax credit' },
+          fpl_percent: { type: 'number' },
+          monthly_contribution: { type: 'number', description: 'Expected monthly contribution toward the benchmark plan' },
+          year: { type: 'integer', nullable: true, description: 'Year of the poverty guidelines and percentage tables used; the latest published when the plan year\'s are not' },
+          schedule: { type: 'string', nullable: true },
+          schedule_label: { type: 'string', nullable: true },
+        },
+      },
+      Subsidy: {
+        allOf: [ref('Estimate'), {
+          type: 'object',
+          properties: {
+            benchmark_premium: { type: 'number' },
+            benchmark_plan_id: { type: 'string' },
+            comparison: { allOf: [ref('Estimate')], nullable: true, description: 'The estimate under the enhanced schedule, with enhanced=on' },
+          },
+        }],
+      },
+      IncomeEstimate: {
+        allOf: [ref('Estimate'), {
+          type: 'object',
+          properties: {
+            income: { type: 'number' },
+            monthly_credit: { type: 'number', description: 'Credit applied to the plan, at most its premium' },
+          },
+        }],
+      },
+      Household: {
+        type: 'object',
+        properties: {
+          size: { type: 'integer', description: 'Tax household size' },
+          tribal: { type: 'boolean' },
+          members: {
+            type: 'array',
+            items: { type: 'object', properties: { age: { type: 'integer' }, tobacco: { type: 'boolean' }, applying: { type: 'boolean' } } },
+          },
+        },
+      },
+      Medicaid: {
+        type: 'object',
+        description: 'Members likely eligible for Medicaid or CHIP, who are left out of plan pricing',
+        properties: {
+          state: { type: 'string' },
+          state_name: { type: 'string' },
+          expansion: { type: 'boolean', description: 'Whether the state has expanded Medicaid' },
+          fpl_percent: { type: 'number' },
+          any_eligible: { type: 'boolean' },
+          coverage_gap: { type: 'boolean', description: 'Whether any adult is below 100% FPL without Medicaid' },
+          members: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                age: { type: 'integer' },
+                tobacco: { type: 'boolean' },
+                applying: { type: 'boolean' },
+                program: { type: 'string', enum: ['medicaid', 'chip'], nullable: true },
+                coverage_gap: { type: 'boolean' },
+              },
+            },
+          },
+        },
+      },
+      QuoteHousehold: {
+        type: 'object',
+        properties: {
+          ref: { type: 'string', description: 'Your reference, copied to the quote' },
+          zipcode: { type: 'string' },
+          state: { type: 'string' },
+          county: { type: 'string', description: 'For a ZIP code in more than one county; the county with most of its residential addresses when absent' },
+          members: {
+            type: 'array',
+            items: { type: 'object', required: ['age'], properties: { age: { type: 'integer' }, tobacco: { type: 'boolean' } } },
+          },
+          ages: { type: 'string', description: 'Instead of members, e.g. 45t;43;12' },
+          income: { type: 'number' },
+          tribal: { type: 'boolean' },
+          year: { type: 'integer', description: 'Plan year; defaults as year= does' },
+        },
+      },
+      Quote: {
+        type: 'object',
+        properties: {
+          row: { type: 'integer' },
+          ref: { type: 'string' },
+          state: { type: 'string' },
+          county: { type: 'string' },
+          rating_area: { type: 'string', nullable: true },
+          plan_year: { type: 'integer' },
+          household: { type: 'string' },
+          income: { type: 'number', nullable: true },
+          fpl_percent: { type: 'integer', nullable: true },
+          benchmark: { type: 'object', nullable: true, properties: { plan_id: { type: 'string' }, premium: { type: 'number' } } },
+          tax_credit: { type: 'number', nullable: true, description: 'Monthly tax credit' },
+          medicaid: { type: 'string', nullable: true },
+          cheapest: {
+            type: 'object',
+            description: 'Lowest premium after the tax credit for each metal level',
+            additionalProperties: { type: 'object' },
+          },
+          error: { type: 'string', nullable: true, description: 'Why the household could not be quoted' },
+        },
+      },
+      QuoteJob: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          status: { type: 'string', enum: ['queued', 'running', 'complete'] },
+          total: { type: 'integer' },
+          completed: { type: 'integer' },
+          progress: { type: 'integer', description: 'Percent of households quoted' },
+          errors: { type: 'integer', description: 'Households that could not be quoted' },
+          created_at: { type: 'string', format: 'date-time' },
+          finished_at: { type: 'string', format: 'date-time', nullable: true },
+          expires_at: { type: 'string', format: 'date-time', nullable: true },
+          results: { type: 'array', items: ref('Quote'), description: 'Present once complete' },
+        },
+      },
+      Pagination: {
+        type: 'object',
+        properties: {
+          page: { type: 'integer' },
+          per_page: { type: 'integer' },
+          total: { type: 'integer' },
+          total_pages: { type: 'integer' },
+        },
+      },
+      Error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+          error: {
+            type: 'object',
+            required: ['code', 'message'],
+            properties: {
+              code: { type: 'string', enum: ['invalid_parameter', 'invalid_body', 'not_found', 'not_ready', 'busy', 'internal_error'] },
+              message: { type: 'string' },
+              param: { type: 'string', description: 'The parameter that failed validation' },
+            },
+          },
+        },
+      },
+    },
+    responses: {
+      Error400: { description: 'Invalid parameter', content: { 'application/json': { schema: ref('Error') } } },
+      Error404: { description: 'Not found', content: { 'application/json': { schema: ref('Error') } } },
+      Error409: { description: 'Not ready yet', content: { 'application/json': { schema: ref('Error') } } },
+      Error503: { description: 'Too busy', content: { 'application/json': { schema: ref('Error') } } },
+    },
+  },
+};
@@ -1,29 +1,32 @@
 const express = require('express');
 const router = express.Router();
 const puppeteer = require('puppeteer');
-const { isPostgres, getPool, getDatabase } = require('../db/init');
-
-// Reuse database helpers
-async function dbQuery(sql, params = []) {
-  if (isPostgres()) {
-    let i = 0;
-    const pgSql = sql.replace(/\?/g, () => `$${++i}`)
-      .replace(/GLOB '\[0-9\]\*'/g, "~ '^[0-9]+'");
-    const result = await getPool().query(pgSql, params);
-    return result.rows;
-  } else {
-    const db = getDatabase();
-    try {
-      return db.prepare(sql).all(...params);
-    } finally {
-      db.close();
-    }
-  }
+const { parseHousehold, describeHousehold } = require('../services/household');
+const { getHouseholdPremiums } = require('../services/rates');
+const { resolveRatingArea } = require('../services/rating-area');
+const { getCountyName } = require('../services/counties');
+const { estimateHouseholdSubsidy } = require('../services/benchmark');
+const { getFPLPercent, getPlanYear, parseIncome } = require('../services/subsidy');
+const { getVariantLabel } = require('../services/csr');
+const { getPlanBenefits } = require('../services/benefits');
+const { screenHousehold, marketplaceHousehold } = require('../services/medicaid');
+const { httpCache } = require('../services/cache');
+const { getPlanById, getPlansById } = require('../services/plan-years');
+const { mixedYearsError } = require('../services/compare');
+
+function escapeHtml(val) {
+  return String(val).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
 }
 
-async function dbQueryOne(sql, params = []) {
-  const rows = await dbQuery(sql, params);
-  return rows[0] || null;
+// Members screened out for Medicaid or CHIP, as on the plan and compare pages
+function medicaidNote(medicaid, pricedHousehold) {
+  if (!medicaid || !medicaid.anyEligible) return '';
+  const members = medicaid.members.filter(m => m.program)
+    .map(m => 'Age ' + m.age + ' likely qualifies for ' + (m.program === 'chip' ? 'CHIP' : 'Medicaid'));
+  const applying = pricedHousehold.members.some(m => m.applying);
+  return `<div class="premium-note">${members.join('; ')}. ${applying
+    ? 'Prices are for ' + describeHousehold(pricedHousehold).toLowerCase() + ' only.'
+    : 'No one else needs a marketplace plan.'}</div>`;
 }
 
 function formatMoney(val) {
@@ -244,58 +247,47 @@ const pdfStyles = `
   }
 `;
 
+// PDFs are slow to render and change only with an import, so browsers may
+// keep them for PDF_MAX_AGE seconds and revalidate them with the ETag
+const PDF_MAX_AGE = 3600;
+
 // Generate PDF for a single plan
-router.get('/plan/:id', async (req, res, next) => {
+router.get('/plan/:id', httpCache({ maxAge: PDF_MAX_AGE }), async (req, res, next) => {
   let browser;
   try {
-    const { age, income, household, tobacco } = req.query;
-
-    const plan = await dbQueryOne('SELECT * FROM plans WHERE plan_id = ?', [req.params.id]);
+    const plan = await getPlanById(req.params.id, req.query.year);
     if (!plan) {
       return res.status(404).send('Plan not found');
     }
+    const year = getPlanYear(plan);
 
     const baseId = plan.standard_component_id;
 
-    const benefits = await dbQuery(`
-      SELECT * FROM benefits WHERE plan_id = ? AND is_covered = '1' ORDER BY benefit_name
-    `, [baseId]);
-
-    // Get rate for selected age
-    const ageToUse = age || '30';
-    const isTobacco = tobacco === 'on';
-    const incomeVal = income ? parseInt(String(income).replace(/,/g, ''), 10) : null;
-    const householdSize = household ? parseInt(household, 10) : 1;
-
-    let ratesSql;
-    if (isPostgres()) {
-      ratesSql = `SELECT individual_rate, individual_tobacco_rate FROM rates WHERE plan_id = $1 AND age = $2 LIMIT 1`;
-    } else {
-      ratesSql = `SELECT individual_rate, individual_tobacco_rate FROM rates WHERE plan_id = ? AND age = ? LIMIT 1`;
-    }
-
-    let monthlyPremium = null;
-    if (isPostgres()) {
-      const result = await getPool().query(ratesSql, [baseId, ageToUse]);
-      if (result.rows[0]) {
-        const rate = result.rows[0];
-        monthlyPremium = isTobacco && rate.individual_tobacco_rate
-          ? parseFloat(rate.individual_tobacco_rate)
-          : parseFloat(rate.individual_rate);
-      }
-    } else {
-      const db = getDatabase();
-      try {
-        const rate = db.prepare(ratesSql).get(baseId, ageToUse);
-        if (rate) {
-          monthlyPremium = isTobacco && rate.individual_tobacco_rate
-            ? parseFloat(rate.individual_tobacco_rate)
-            : parseFloat(rate.individual_rate);
-        }
-      } finally {
-        db.close();
-      }
-    }
+    const benefits = await getPlanBenefits(plan);
+    const csrLabel = getVariantLabel(plan.plan_id);
+
+    // Get premium for the household in the user's rating area
+    // Only a county known for the plan's state reaches the page
+    const county = await getCountyName(plan.state_code, req.query.county);
+    const household = parseHousehold(req.query);
+    const income = parseIncome(req.query.income);
+    const fplPercent = income ? getFPLPercent(income, household.size, { year, state: plan.state_code }) : null;
+    const medicaid = screenHousehold(household, { state: plan.state_code, fplPercent });
+    const pricedHousehold = marketplaceHousehold(household, medicaid);
+    const ratingArea = await resolveRatingArea(plan.state_code, county, req.query.zipcode);
+    const premiums = await getHouseholdPremiums([baseId], pricedHousehold, ratingArea, year);
+    const monthlyPremium = premiums[baseId] ? premiums[baseId].total : null;
+    const subsidyInfo = monthlyPremium
+      ? await estimateHouseholdSubsidy({
+        state: plan.state_code,
+        county,
+        zipcode: req.query.zipcode,
+        ratingArea,
+        household: pricedHousehold,
+        income,
+        year
+      })
+      : null;
 
     // Build HTML
     const metalClass = (plan.metal_level || '').toLowerCase().replace(' ', '-');
@@ -306,7 +298,14 @@ router.get('/plan/:id', async (req, res, next) => {
         <div class="premium-box">
           <div class="premium-value">$${Math.round(monthlyPremium).toLocaleString()}</div>
           <div class="premium-label">per month</div>
-          <div class="premium-note">For age ${ageToUse}${isTobacco ? ', tobacco user' : ''}</div>
+          <div class="premium-note">For ${describeHousehold(pricedHousehold).toLowerCase()}${household.size > 1 ? ', household of ' + household.size : ''}${ratingArea ? ' in ' + escapeHtml(county) + ' (' + escapeHtml(ratingArea) + ')' : ''}</div>
+          ${subsidyInfo && subsidyInfo.eligible ? `
+            <div class="subsidy-info">
+              Estimated tax credit: $${subsidyInfo.subsidy.toLocaleString()}/mo &mdash;
+              you pay about <strong>$${Math.max(0, Math.round(monthlyPremium - subsidyInfo.subsidy)).toLocaleString()}/mo</strong>
+              (${subsidyInfo.fplPercent}% FPL, benchmark Silver $${subsidyInfo.benchmarkPremium.toLocaleString()}/mo)
+            </div>
+          ` : ''}
         </div>
       `;
     }
@@ -344,13 +343,15 @@ router.get('/plan/:id', async (req, res, next) => {
       <body>
         <h1>${plan.plan_marketing_name || 'Unnamed Plan'}</h1>
         <div class="subtitle">
-          ${plan.issuer_name || 'Unknown Issuer'}
+          ${plan.issuer_name || 'Unknown Issuer'} &middot; ${year} plan year
           <span class="metal-badge ${metalClass}">${plan.metal_level || 'N/A'}</span>
           <span class="type-badge">${plan.plan_type || 'N/A'}</span>
           ${plan.hsa_eligible ? '<span class="type-badge">HSA Eligible</span>' : ''}
+          ${csrLabel ? '<span class="type-badge">' + csrLabel + '</span>' : ''}
         </div>
 
         ${premiumHtml}
+        ${medicaidNote(medicaid, pricedHousehold)}
 
         <h2>Cost Summary</h2>
         <div class="cost-grid">
@@ -425,7 +426,7 @@ router.get('/plan/:id', async (req, res, next) => {
 });
 
 // Generate PDF comparing multiple plans
-router.get('/compare', async (req, res, next) => {
+router.get('/compare', httpCache({ maxAge: PDF_MAX_AGE }), async (req, res, next) => {
   let browser;
   try {
     const ids = req.query.ids;
@@ -434,28 +435,43 @@ router.get('/compare', async (req, res, next) => {
     }
 
     const planIds = ids.split(',').slice(0, 4);
-
-    let plans;
-    if (isPostgres()) {
-      const result = await getPool().query('SELECT * FROM plans WHERE plan_id = ANY($1)', [planIds]);
-      plans = result.rows;
-    } else {
-      const placeholders = planIds.map(() => '?').join(',');
-      plans = await dbQuery(`SELECT * FROM plans WHERE plan_id IN (${placeholders})`, planIds);
-    }
+    const plans = await getPlansById(planIds, req.query.year);
 
     if (plans.length === 0) {
       return res.status(404).send('No plans found');
     }
+    const yearsError = mixedYearsError(plans);
+    if (yearsError) {
+      return res.status(400).send(yearsError);
+    }
+
+    // Household premiums and subsidy against the county benchmark
+    const state = plans[0].state_code;
+    const year = getPlanYear(plans[0]);
+    const county = await getCountyName(state, req.query.county);
+    const household = parseHousehold(req.query);
+    const income = parseIncome(req.query.income);
+    const fplPercent = income ? getFPLPercent(income, household.size, { year, state }) : null;
+    const medicaid = screenHousehold(household, { state, fplPercent });
+    const pricedHousehold = marketplaceHousehold(household, medicaid);
+    const ratingArea = await resolveRatingArea(state, county, req.query.zipcode);
+    const premiums = await getHouseholdPremiums(
+      [...new Set(plans.map(p => p.standard_component_id))], pricedHousehold, ratingArea, year
+    );
+    const subsidyInfo = await estimateHouseholdSubsidy({
+      state,
+      county,
+      zipcode: req.query.zipcode,
+      ratingArea,
+      household: pricedHousehold,
+      income,
+      year
+    });
 
     // Get benefits for all plans
     const benefitsMap = {};
     for (const plan of plans) {
-      const baseId = plan.standard_component_id;
-      benefitsMap[plan.plan_id] = await dbQuery(
-        "SELECT * FROM benefits WHERE plan_id = ? AND is_covered = '1' ORDER BY benefit_name",
-        [baseId]
-      );
+      benefitsMap[plan.plan_id] = await getPlanBenefits(plan);
     }
 
     // Get all unique benefits
@@ -466,6 +482,7 @@ router.get('/compare', async (req, res, next) => {
     // Build comparison cards HTML
     const cardsHtml = plans.map(p => {
       const metalClass = (p.metal_level || '').toLowerCase().replace(' ', '-');
+      const premium = premiums[p.standard_component_id];
       return `
         <div class="compare-card">
           <div class="compare-card-header ${metalClass}">
@@ -474,6 +491,16 @@ router.get('/compare', async (req, res, next) => {
             <div class="issuer">${p.issuer_name || 'Unknown Issuer'}</div>
           </div>
           <div class="compare-card-body">
+            <div class="compare-row">
+              <span class="label">Monthly Premium</span>
+              <span class="value">${premium ? '$' + Math.round(premium.total).toLocaleString() : 'N/A'}</span>
+            </div>
+            ${premium && subsidyInfo && subsidyInfo.eligible ? `
+            <div class="compare-row">
+              <span class="label">After Tax Credit</span>
+              <span class="value">$${Math.max(0, Math.round(premium.total - subsidyInfo.subsidy)).toLocaleString()}</span>
+            </div>
+            ` : ''}
             <div class="compare-row">
               <span class="label">Plan Type</span>
               <span class="value">${p.plan_type || 'N/A'}</span>
@@ -545,7 +572,11 @@ router.get('/compare', async (req, res, next) => {
       </head>
       <body>
         <h1>Health Plan Comparison</h1>
-        <div class="subtitle">Comparing ${plans.length} plans</div>
+        <div class="subtitle">
+          Comparing ${plans.length} ${year} plans for ${describeHousehold(pricedHousehold.members.some(m => m.applying) ? pricedHousehold : household).toLowerCase()}${ratingArea ? ' in ' + escapeHtml(county) + ' (' + escapeHtml(ratingArea) + ')' : ''}
+          ${subsidyInfo && subsidyInfo.eligible ? ' &middot; Estimated tax credit $' + subsidyInfo.subsidy.toLocaleString() + '/mo' : ''}
+        </div>
+        ${medicaidNote(medicaid, pricedHousehold)}
 
         <div class="compare-grid">
           ${cardsHtml}
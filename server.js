@@ -3,6 +3,8 @@ const path = require('path');
 const plansRoutes = require('./routes/plans');
 const apiRoutes = require('./routes/api');
 const pdfRoutes = require('./routes/pdf');
+const exportRoutes = require('./routes/export');
+const { getDataUpdatedAt } = require('./services/imports');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -13,9 +15,23 @@ app.set('views', path.join(__dirname, 'views'));
 app.use(express.static(path.join(__dirname, 'public')));
 app.use(express.urlencoded({ extended: true }));
 
-app.use('/', plansRoutes);
-app.use('/api', apiRoutes);
+// Pages say in the footer when the data was last updated
+async function dataUpdated(req, res, next) {
+  try {
+    res.locals.dataUpdatedAt = await getDataUpdatedAt();
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// The page routes are mounted at / and come last so API, PDF and export
+// requests don't look up the footer date
+app.use('/api/v1', apiRoutes.v1);
+app.use('/api', apiRoutes.legacy);
 app.use('/pdf', pdfRoutes);
+app.use('/export', exportRoutes);
+app.use('/', dataUpdated, plansRoutes);
 
 app.use((err, req, res, next) => {
   console.error(err.stack);
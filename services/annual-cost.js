@@ -0,0 +1,169 @@
+// Estimated annual cost: 12 months of premium plus expected out-of-pocket spending
+const { getCoveredMembers } = require('./household');
+const { parseAmount } = require('./money');
+const { parseCostSharing } = require('./benefits');
+
+// Services the model prices, with a typical allowed amount for each and the
+// Benefits PUF benefit that sets its cost sharing. Drugs go toward a separate
+// drug deductible when the plan has one.
+const SERVICES = {
+  primary: { label: 'Primary care visits', benefit: 'Primary Care Visit to Treat an Injury or Illness', allowed: 180 },
+  specialist: { label: 'Specialist visits', benefit: 'Specialist Visit', allowed: 300 },
+  generic: { label: 'Generic prescriptions', benefit: 'Generic Drugs', allowed: 25, drug: true },
+  brand: { label: 'Brand-name prescriptions', benefit: 'Preferred Brand Drugs', allowed: 400, drug: true },
+  lab: { label: 'Lab tests', benefit: 'Laboratory Outpatient and Professional Services', allowed: 150 },
+  imaging: { label: 'X-rays and imaging', benefit: 'X-rays and Diagnostic Imaging', allowed: 400 },
+  er: { label: 'Emergency room visits', benefit: 'Emergency Room Services', allowed: 2500 },
+  surgery: { label: 'Outpatient procedures', benefit: 'Outpatient Surgery Physician/Surgical Services', allowed: 5000 },
+  inpatient: { label: 'Hospital stays', benefit: 'Inpatient Hospital Services (e.g., Hospital Stay)', allowed: 20000 },
+};
+
+// Yearly use per covered person
+const USAGE_PROFILES = {
+  low: { label: 'Low', counts: { primary: 1, generic: 2, lab: 1 } },
+  medium: { label: 'Medium', counts: { primary: 3, specialist: 2, generic: 12, lab: 2, imaging: 1 } },
+  high: {
+    label: 'High',
+    counts: { primary: 6, specialist: 8, generic: 24, brand: 12, lab: 6, imaging: 3, er: 1, surgery: 1, inpatient: 1 },
+  },
+};
+
+const MAX_COUNT = 365;
+
+function getUsage(key) {
+  const profile = USAGE_PROFILES[key];
+  return profile ? { key, label: profile.label, counts: profile.counts } : null;
+}
+
+// usage=low|medium|high, or usage=custom with custom[primary]=4&custom[generic]=12
+function parseUsage(query) {
+  if (query.usage !== 'custom') return getUsage(query.usage);
+
+  const raw = query.custom && typeof query.custom === 'object' ? query.custom : {};
+  const counts = {};
+  for (const key of Object.keys(SERVICES)) {
+    const count = parseInt(raw[key], 10);
+    if (count > 0) counts[key] = Math.min(count, MAX_COUNT);
+  }
+  return { key: 'custom', label: 'Custom', counts };
+}
+
+function toUsageParams(usage, params = new URLSearchParams()) {
+  if (!usage) return params;
+  params.append('usage', usage.key);
+  if (usage.key === 'custom') {
+    for (const [key, count] of Object.entries(usage.counts)) {
+      params.append(`custom[${key}]`, count);
+    }
+  }
+  return params;
+}
+
+// What the member pays for one service. Costs subject to the deductible are
+// paid in full until it is met; copay and coinsurance apply to the rest.
+function serviceCost(benefit, allowed, deductibleLeft) {
+  if (!benefit) return { cost: allowed, toDeductible: 0, covered: false };
+
+  const copay = parseCostSharing(benefit.copay_in_network);
+  const coinsurance = parseCostSharing(benefit.coinsurance_in_network);
+  const subjectToDeductible = [copay, coinsurance].some(t => t && t.afterDeductible);
+
+  const toDeductible = subjectToDeductible ? Math.min(allowed, Math.max(0, deductibleLeft)) : 0;
+  const remaining = allowed - toDeductible;
+
+  const copayAmount = copay && !copay.percent ? copay.amount : 0;
+  const rate = coinsurance && coinsurance.percent ? coinsurance.amount / 100 : 0;
+  const shared = Math.min(remaining, copayAmount + rate * Math.max(0, remaining - copayAmount));
+
+  return { cost: toDeductible + shared, toDeductible, covered: true };
+}
+
+// Out-of-pocket spending for a household using the same services per person.
+// Individual deductibles and MOOPs apply per person, capped by the family
+// amounts when more than one person is covered. Uncovered services are paid
+// in full and don't count toward the MOOP.
+function estimateOutOfPocket(plan, benefits, household, counts) {
+  const benefitsByName = new Map(benefits.map(b => [b.benefit_name, b]));
+  const covered = getCoveredMembers(household.members);
+  const family = covered.length > 1;
+
+  const limits = {
+    deductible: parseAmount(plan.medical_deductible_individual) || 0,
+    familyDeductible: family ? parseAmount(plan.medical_deductible_family, true) : null,
+    drugDeductible: parseAmount(plan.drug_deductible_individual),
+    familyDrugDeductible: family ? parseAmount(plan.drug_deductible_family, true) : null,
+    moop: parseAmount(plan.medical_moop_individual),
+    familyMoop: family ? parseAmount(plan.medical_moop_family, true) : null,
+  };
+  const separateDrugDeductible = limits.drugDeductible !== null;
+  const remaining = (limit, spent) => (limit === null ? Infinity : limit - spent);
+
+  const familySpent = { deductible: 0, drugDeductible: 0, oop: 0 };
+  const services = {};
+  let outOfPocket = 0;
+  let notCovered = 0;
+
+  for (let i = 0; i < covered.length; i++) {
+    const spent = { deductible: 0, drugDeductible: 0, oop: 0 };
+
+    for (const [key, count] of Object.entries(counts)) {
+      const service = SERVICES[key];
+      if (!service || !count) continue;
+      const drugDeductible = service.drug && separateDrugDeductible;
+      const line = services[key] || (services[key] = { key, label: service.label, count: 0, cost: 0 });
+
+      for (let n = 0; n < count; n++) {
+        const deductibleLeft = drugDeductible
+          ? Math.min(limits.drugDeductible - spent.drugDeductible, remaining(limits.familyDrugDeductible, familySpent.drugDeductible))
+          : Math.min(limits.deductible - spent.deductible, remaining(limits.familyDeductible, familySpent.deductible));
+        const result = serviceCost(benefitsByName.get(service.benefit), service.allowed, deductibleLeft);
+
+        let cost = result.cost;
+        if (result.covered) {
+          const oopLeft = Math.max(0, Math.min(remaining(limits.moop, spent.oop), remaining(limits.familyMoop, familySpent.oop)));
+          cost = Math.min(cost, oopLeft);
+          const field = drugDeductible ? 'drugDeductible' : 'deductible';
+          spent[field] += result.toDeductible;
+          familySpent[field] += result.toDeductible;
+          spent.oop += cost;
+          familySpent.oop += cost;
+        } else {
+          notCovered += cost;
+        }
+
+        outOfPocket += cost;
+        line.count++;
+        line.cost += cost;
+      }
+    }
+  }
+
+  return {
+    outOfPocket: Math.round(outOfPocket),
+    notCovered: Math.round(notCovered),
+    services: Object.values(services).map(s => ({ ...s, cost: Math.round(s.cost) })),
+  };
+}
+
+// Annual cost for a plan under a usage profile. monthlyPremium should be the
+// premium after any tax credit; total is null when the premium is unknown.
+function estimateAnnualCost(plan, benefits, household, usage, monthlyPremium) {
+  const oop = estimateOutOfPocket(plan, benefits, household, usage.counts);
+  const premiums = typeof monthlyPremium === 'number' ? Math.round(monthlyPremium * 12) : null;
+  return {
+    usage: usage.key,
+    usageLabel: usage.label,
+    premiums,
+    ...oop,
+    total: premiums === null ? null : premiums + oop.outOfPocket,
+  };
+}
+
+module.exports = {
+  SERVICES,
+  USAGE_PROFILES,
+  getUsage,
+  parseUsage,
+  toUsageParams,
+  estimateAnnualCost,
+};
@@ -0,0 +1,72 @@
+// Second-lowest-cost Silver plan (SLCSP) benchmark
+const { query } = require('../db/init');
+const { getHouseholdPremiums } = require('./rates');
+const { estimateSubsidy, getPlanYear, getSchedule } = require('./subsidy');
+const { coverageCondition } = require('./counties');
+const { cached } = require('./cache');
+
+// The benchmark is the second-lowest household premium among all Silver
+// plans sold in the county, regardless of any filters the user has applied.
+// With a single Silver plan that plan is the benchmark; with none there is
+// no benchmark and no subsidy can be estimated. A ZIP code narrows the
+// county to the plans sold there when some are sold in only part of it, and
+// a year to that coverage year's plans.
+async function getBenchmark({ state, county, zipcode, ratingArea, household, year = null }) {
+  if (!state || !county) return null;
+
+  const silverPlans = await cached(`silver:${year || ''}:${state}:${county}:${zipcode || ''}`, async () => {
+    const coverage = await coverageCondition(state, county, zipcode);
+    const params = [...coverage.params];
+    let yearFilter = '';
+    if (year) {
+      yearFilter = 'AND p.plan_year = ?';
+      params.push(year);
+    }
+    return query(`
+      SELECT DISTINCT p.standard_component_id, p.plan_year, p.plan_effective_date
+      FROM plans p
+      JOIN service_areas sa ON p.service_area_id = sa.service_area_id AND p.state_code = sa.state_code
+        AND sa.plan_year = p.plan_year
+      WHERE ${coverage.sql} AND p.market_coverage = 'Individual'
+        AND p.metal_level = 'Silver' AND p.plan_id LIKE '%-01' ${yearFilter}
+    `, params);
+  });
+
+  const planIds = [...new Set(silverPlans.map(p => p.standard_component_id))];
+  const years = new Map(silverPlans.map(p => [p.standard_component_id, getPlanYear(p)]));
+  const premiums = await getHouseholdPremiums(planIds, household, ratingArea, year);
+
+  const ranked = Object.entries(premiums)
+    .map(([planId, premium]) => ({ planId, premium: premium.total, year: years.get(planId) }))
+    .sort((a, b) => a.premium - b.premium);
+
+  if (ranked.length === 0) return null;
+  return ranked.length >= 2 ? ranked[1] : ranked[0];
+}
+
+// Subsidy estimate for a household, or null when there is no income or benchmark.
+// The benchmark and the FPL and percentage tables follow the state and
+// coverage year, which defaults to the benchmark plan's. compareSchedule adds a second estimate
+// under another schedule (e.g. 'enhanced') when it differs from the one in force.
+async function estimateHouseholdSubsidy({ state, county, zipcode, ratingArea, household, income, year, compareSchedule }) {
+  if (!income) return null;
+
+  const benchmark = await getBenchmark({ state, county, zipcode, ratingArea, household, year });
+  if (!benchmark) return null;
+
+  const options = { year: year || benchmark.year, state };
+  const estimate = {
+    ...estimateSubsidy(income, household.size, benchmark.premium, options),
+    benchmarkPremium: Math.round(benchmark.premium),
+    benchmarkPlanId: benchmark.planId,
+  };
+
+  if (compareSchedule && compareSchedule !== estimate.schedule && getSchedule({ ...options, schedule: compareSchedule })) {
+    estimate.comparison = estimateSubsidy(income, household.size, benchmark.premium, {
+      ...options, schedule: compareSchedule
+    });
+  }
+  return estimate;
+}
+
+module.exports = { getBenchmark, estimateHouseholdSubsidy };
@@ -0,0 +1,137 @@
+// Filters on benefit coverage and cost sharing
+const { parseCostSharing } = require('./benefits');
+
+// Benefits that can be filtered on, by Benefits PUF benefit name
+const BENEFITS = {
+  primary: { label: 'Primary care', name: 'Primary Care Visit to Treat an Injury or Illness' },
+  specialist: { label: 'Specialist visit', name: 'Specialist Visit' },
+  urgent_care: { label: 'Urgent care', name: 'Urgent Care Centers or Facilities' },
+  er: { label: 'Emergency room', name: 'Emergency Room Services' },
+  generic: { label: 'Generic drugs', name: 'Generic Drugs' },
+  brand: { label: 'Preferred brand drugs', name: 'Preferred Brand Drugs' },
+  lab: { label: 'Lab tests', name: 'Laboratory Outpatient and Professional Services' },
+  imaging: { label: 'X-rays and imaging', name: 'X-rays and Diagnostic Imaging' },
+  mental_health: { label: 'Mental health outpatient', name: 'Mental/Behavioral Health Outpatient Services' },
+  surgery: { label: 'Outpatient surgery', name: 'Outpatient Surgery Physician/Surgical Services' },
+  inpatient: { label: 'Hospital stay', name: 'Inpatient Hospital Services (e.g., Hospital Stay)' },
+  adult_dental: { label: 'Adult dental', name: 'Basic Dental Care - Adult' },
+  child_dental: { label: 'Child dental check-up', name: 'Dental Check-Up for Children' },
+  adult_vision: { label: 'Adult eye exam', name: 'Routine Eye Exam (Adult)' },
+  child_glasses: { label: 'Child eyeglasses', name: 'Eyeglasses for Children' },
+  chiropractic: { label: 'Chiropractic care', name: 'Chiropractic Care' },
+  acupuncture: { label: 'Acupuncture', name: 'Acupuncture' },
+  infertility: { label: 'Infertility treatment', name: 'Infertility Treatment' },
+  bariatric: { label: 'Bariatric surgery', name: 'Bariatric Surgery' },
+  hearing_aids: { label: 'Hearing aids', name: 'Hearing Aids' },
+};
+
+// Conditions on a covered benefit. copay and coinsurance are parsed with
+// parseCostSharing. A benefit with only a copay has no coinsurance, and one
+// with coinsurance above 0% doesn't meet a copay limit.
+const CONDITIONS = {
+  covered: {
+    label: () => 'covered',
+    test: () => true,
+  },
+  no_deductible: {
+    label: () => 'no deductible',
+    test: (copay, coinsurance) => ![copay, coinsurance].some(t => t && t.afterDeductible),
+  },
+  copay_max: {
+    label: value => (value === 0 ? '$0 copay' : `copay ≤ $${value}`),
+    needsValue: true,
+    test: (copay, coinsurance, value) =>
+      Boolean(copay) && !copay.percent && copay.amount <= value && !(coinsurance && coinsurance.amount > 0),
+  },
+  coinsurance_max: {
+    label: value => `coinsurance ≤ ${value}%`,
+    needsValue: true,
+    test: (copay, coinsurance, value) => (coinsurance ? coinsurance.amount <= value : Boolean(copay)),
+  },
+};
+
+// Common criteria offered as one-click filters
+const PRESETS = [
+  'adult_dental:covered',
+  'generic:copay_max:0',
+  'specialist:no_deductible',
+  'inpatient:coinsurance_max:20',
+];
+
+const MAX_CRITERIA = 10;
+
+function describeCriterion(criterion) {
+  return `${BENEFITS[criterion.benefit].label}: ${CONDITIONS[criterion.condition].label(criterion.value)}`;
+}
+
+// "benefit:condition" or "benefit:condition:value", e.g. generic:copay_max:0
+function parseCriterion(raw) {
+  const [benefit, condition, rawValue] = String(raw).split(':');
+  if (!BENEFITS[benefit] || !CONDITIONS[condition]) return null;
+
+  let value = null;
+  if (CONDITIONS[condition].needsValue) {
+    value = parseFloat(rawValue);
+    if (isNaN(value) || value < 0) return null;
+  }
+  const key = value === null ? `${benefit}:${condition}` : `${benefit}:${condition}:${value}`;
+  const criterion = { key, benefit, condition, value };
+  return { ...criterion, label: describeCriterion(criterion) };
+}
+
+// Criteria from repeated bf= parameters, deduplicated
+function parseBenefitCriteria(query) {
+  const criteria = [];
+  for (const raw of [].concat(query.bf || [])) {
+    if (typeof raw !== 'string') continue;
+    const criterion = parseCriterion(raw);
+    if (criterion && !criteria.some(c => c.key === criterion.key)) criteria.push(criterion);
+    if (criteria.length === MAX_CRITERIA) break;
+  }
+  return criteria;
+}
+
+// In-network cost sharing as shown on the card, e.g. "$25.00 Copay after deductible"
+function describeBenefit(row) {
+  const parts = [row.copay_in_network, row.coinsurance_in_network]
+    .filter(value => value && !/not applicable/i.test(value));
+  return parts.length > 0 ? parts.join(', ') : 'Covered';
+}
+
+function matchesCriterion(row, criterion) {
+  if (!row) return false;
+  const copay = parseCostSharing(row.copay_in_network);
+  const coinsurance = parseCostSharing(row.coinsurance_in_network);
+  return CONDITIONS[criterion.condition].test(copay, coinsurance, criterion.value);
+}
+
+// Plans whose benefits meet every criterion. Each remaining plan gets
+// benefit_matches: [{ label, value }] with the matched benefits' cost sharing.
+function applyBenefitCriteria(plans, criteria, benefitsMap) {
+  if (criteria.length === 0) return plans;
+
+  return plans.filter(plan => {
+    const rows = new Map((benefitsMap[plan.plan_id] || []).map(b => [b.benefit_name, b]));
+    const matches = [];
+    for (const criterion of criteria) {
+      const benefit = BENEFITS[criterion.benefit];
+      const row = rows.get(benefit.name);
+      if (!matchesCriterion(row, criterion)) return false;
+      if (!matches.some(m => m.label === benefit.label)) {
+        matches.push({ label: benefit.label, value: describeBenefit(row) });
+      }
+    }
+    plan.benefit_matches = matches;
+    return true;
+  });
+}
+
+module.exports = {
+  BENEFITS,
+  CONDITIONS,
+  PRESETS,
+  parseCriterion,
+  parseBenefitCriteria,
+  applyBenefitCriteria,
+  describeBenefit,
+};
@@ -0,0 +1,52 @@
+// Benefit cost-sharing lookups
+const { query } = require('../db/init');
+
+// Benefits are filed per plan variant, so a CSR variant has its own copays.
+// Older imports keyed them by standard component ID, which is kept as a fallback.
+// Returns { planId: [benefit rows] } for the given plans, each from its plan year.
+// Only covered benefits unless withNotCovered, which adds the rows a plan
+// files as Not Covered.
+async function getBenefitsForPlans(plans, { withNotCovered = false } = {}) {
+  const benefitsMap = {};
+  if (plans.length === 0) return benefitsMap;
+
+  const ids = [...new Set(plans.flatMap(p => [p.plan_id, p.standard_component_id]))];
+  const years = [...new Set(plans.map(p => p.plan_year))];
+  const allRows = await query(`
+    SELECT * FROM benefits
+    WHERE plan_id IN (${ids.map(() => '?').join(',')}) AND plan_year IN (${years.map(() => '?').join(',')})
+      ${withNotCovered ? '' : "AND is_covered IN ('1', 'Covered')"}
+    ORDER BY benefit_name
+  `, [...ids, ...years]);
+
+  for (const plan of plans) {
+    const rows = allRows.filter(b => b.plan_year === plan.plan_year);
+    const variantRows = rows.filter(b => b.plan_id === plan.plan_id);
+    benefitsMap[plan.plan_id] = variantRows.length > 0
+      ? variantRows
+      : rows.filter(b => b.plan_id === plan.standard_component_id);
+  }
+  return benefitsMap;
+}
+
+// A copay or coinsurance field: "$25.00 Copay after deductible",
+// "20.00% Coinsurance after deductible", "No Charge", "Not Applicable"
+function parseCostSharing(value) {
+  if (!value || /not applicable/i.test(value)) return null;
+  const afterDeductible = /after deductible/i.test(value);
+  if (/no charge/i.test(value)) return { amount: 0, percent: false, afterDeductible };
+  const match = /([\d,.]+)\s*(%)?/.exec(value);
+  if (!match) return null;
+  return {
+    amount: parseFloat(match[1].replace(/,/g, '')),
+    percent: Boolean(match[2]) || /coinsurance/i.test(value),
+    afterDeductible,
+  };
+}
+
+async function getPlanBenefits(plan) {
+  const benefitsMap = await getBenefitsForPlans([plan]);
+  return benefitsMap[plan.plan_id];
+}
+
+module.exports = { parseCostSharing, getBenefitsForPlans, getPlanBenefits };
@@ -0,0 +1,116 @@
+// In-process cache for lookups that only change when data is imported, and
+// HTTP caching headers for responses built from them. Everything cached is
+// keyed by the data version: the time of the last import, recorded in the
+// data_version table. The version is rechecked every VERSION_TTL, so a new
+// import empties the cache without restarting the server. Cached values are
+// shared between requests and must not be modified; copy rows before
+// changing them.
+const crypto = require('crypto');
+const { query, isPostgres } = require('../db/init');
+
+const VERSION_TTL = 10 * 1000;
+const MAX_ENTRIES = 1000;
+
+// Databases imported before data_version was recorded are versioned by the
+// time the server started
+const startedAt = new Date();
+
+const entries = new Map();
+let current = null;
+let checkedAt = 0;
+let pending = null;
+
+async function readDataVersion() {
+  const tables = isPostgres()
+    ? await query("SELECT 1 FROM information_schema.tables WHERE table_name = 'data_version'")
+    : await query("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'data_version'");
+  const rows = tables.length > 0 ? await query('SELECT imported_at FROM data_version') : [];
+  const importedAt = rows.length > 0 && rows[0].imported_at ? new Date(rows[0].imported_at) : null;
+  return importedAt && !isNaN(importedAt) ? importedAt : startedAt;
+}
+
+// { version, updatedAt } for the data being served
+async function getDataVersion() {
+  if (current && Date.now() - checkedAt < VERSION_TTL) return current;
+  if (!pending) {
+    pending = readDataVersion()
+      .then(updatedAt => {
+        const version = updatedAt.toISOString();
+        if (!current || current.version !== version) {
+          entries.clear();
+          current = { version, updatedAt };
+        }
+        checkedAt = Date.now();
+        return current;
+      })
+      .finally(() => {
+        pending = null;
+      });
+  }
+  return pending;
+}
+
+// The value for key, loading it with load() on a miss. Concurrent misses
+// share one load; a failed load is not kept. The least recently used entry
+// is dropped once there are MAX_ENTRIES.
+async function cached(key, load) {
+  await getDataVersion();
+
+  if (entries.has(key)) {
+    const value = entries.get(key);
+    entries.delete(key);
+    entries.set(key, value);
+    return value;
+  }
+
+  const value = load();
+  entries.set(key, value);
+  if (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+  try {
+    return await value;
+  } catch (err) {
+    if (entries.get(key) === value) entries.delete(key);
+    throw err;
+  }
+}
+
+// Middleware for GET routes whose response depends only on the URL and the
+// data: an ETag for the URL at this data version, Last-Modified and
+// Cache-Control. A matching If-None-Match or If-Modified-Since gets a 304
+// before the route runs. Error responses are sent uncacheable.
+function httpCache({ maxAge }) {
+  return async (req, res, next) => {
+    try {
+      const { version, updatedAt } = await getDataVersion();
+      const hash = crypto.createHash('sha1').update(`${version} ${req.originalUrl}`).digest('base64url');
+      res.set('ETag', `W/"${hash}"`);
+      res.set('Last-Modified', updatedAt.toUTCString());
+      res.set('Cache-Control', `public, max-age=${maxAge}`);
+
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+
+      const writeHead = res.writeHead;
+      res.writeHead = function (statusCode, ...args) {
+        if (statusCode >= 400 || res.statusCode >= 400) {
+          res.removeHeader('ETag');
+          res.removeHeader('Last-Modified');
+          res.set('Cache-Control', 'no-store');
+        }
+        return writeHead.call(this, statusCode, ...args);
+      };
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+module.exports = {
+  getDataVersion,
+  cached,
+  httpCache,
+};
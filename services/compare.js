@@ -0,0 +1,102 @@
+// Side-by-side plan comparison shared by the /compare page and its exports:
+// up to four plans priced for a household, with their benefits
+const { parseHousehold } = require('./household');
+const { getHouseholdPremiums } = require('./rates');
+const { resolveRatingArea } = require('./rating-area');
+const { estimateHouseholdSubsidy } = require('./benchmark');
+const { getFPLPercent, getPlanYear, parseIncome } = require('./subsidy');
+const { getVariantLabel } = require('./csr');
+const { getPlanBenefits } = require('./benefits');
+const { screenHousehold, marketplaceHousehold } = require('./medicaid');
+const { getPlansById } = require('./plan-years');
+
+const MAX_COMPARE = 4;
+
+// "id1,id2,..." to at most MAX_COMPARE plan IDs
+function parseCompareIds(ids) {
+  if (typeof ids !== 'string') return [];
+  return ids.split(',').map(id => id.trim()).filter(Boolean).slice(0, MAX_COMPARE);
+}
+
+// Plans of different plan years have different rates and benchmarks, so
+// they can't be priced for one household side by side. The message to show
+// instead, or null.
+function mixedYearsError(plans) {
+  const years = [...new Set(plans.map(p => Number(p.plan_year)))].sort();
+  return years.length > 1
+    ? `These plans are from different plan years (${years.join(' and ')}). Compare plans from one year.`
+    : null;
+}
+
+// Plans for planIds, priced for the household in params (year, county,
+// zipcode, income, enhanced and the household fields), in the order given.
+// Plans from different years return { plans, error }.
+async function comparePlans(planIds, params) {
+  const plans = await getPlansById(planIds, params.year);
+  const error = mixedYearsError(plans);
+  if (error) return { plans, error };
+
+  const { county, zipcode } = params;
+  const state = plans.length > 0 ? plans[0].state_code : null;
+  const ratingArea = await resolveRatingArea(state, county, zipcode);
+
+  // Household premiums and subsidy against the county benchmark
+  const household = parseHousehold(params);
+  const income = parseIncome(params.income);
+  const year = plans.length > 0 ? getPlanYear(plans[0]) : null;
+  const fplPercent = income ? getFPLPercent(income, household.size, { year, state }) : null;
+  const medicaid = screenHousehold(household, { state, fplPercent });
+  const pricedHousehold = marketplaceHousehold(household, medicaid);
+  const premiums = await getHouseholdPremiums(
+    [...new Set(plans.map(p => p.standard_component_id))], pricedHousehold, ratingArea, year
+  );
+  const compareEnhanced = params.enhanced === 'on';
+  const subsidyInfo = await estimateHouseholdSubsidy({
+    state, county, zipcode, ratingArea, household: pricedHousehold, income, year,
+    compareSchedule: compareEnhanced ? 'enhanced' : null
+  });
+  const comparison = subsidyInfo && subsidyInfo.comparison;
+
+  const benefitsMap = {};
+  for (const plan of plans) {
+    const premium = premiums[plan.standard_component_id];
+    plan.monthly_premium = premium ? Math.round(premium.total * 100) / 100 : null;
+    if (premium && subsidyInfo && subsidyInfo.eligible) {
+      plan.subsidized_premium = Math.max(0, Math.round(plan.monthly_premium - subsidyInfo.subsidy));
+    }
+    if (premium && comparison && comparison.eligible) {
+      plan.comparison_premium = Math.max(0, Math.round(plan.monthly_premium - comparison.subsidy));
+    }
+    plan.csr_label = getVariantLabel(plan.plan_id);
+    benefitsMap[plan.plan_id] = await getPlanBenefits(plan);
+  }
+
+  // Every benefit any of the plans lists, for the comparison table rows
+  const allBenefits = [...new Set(
+    Object.values(benefitsMap).flat().map(b => b.benefit_name)
+  )].sort();
+
+  return {
+    plans,
+    benefitsMap,
+    allBenefits,
+    state,
+    county,
+    ratingArea,
+    year,
+    household,
+    pricedHousehold,
+    income,
+    fplPercent,
+    compareEnhanced,
+    medicaid,
+    subsidyInfo,
+  };
+}
+
+module.exports = {
+  MAX_COMPARE,
+  parseCompareIds,
+  mixedYearsError,
+  comparePlans,
+};
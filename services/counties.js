@@ -0,0 +1,125 @@
+// Counties by FIPS code. Service areas are keyed by county FIPS code, and a
+// service area may cover a whole state or only some ZIP codes of a county.
+// Pages and links still name counties; names are resolved through the
+// counties table. Databases imported before FIPS codes match service areas
+// on county name.
+const { query, isPostgres } = require('../db/init');
+const { cached } = require('./cache');
+
+// State postal codes by the first two digits of a county FIPS code
+const STATE_FIPS = {
+  '01': 'AL', '02': 'AK', '04': 'AZ', '05': 'AR', '06': 'CA', '08': 'CO', '09': 'CT', '10': 'DE',
+  '11': 'DC', '12': 'FL', '13': 'GA', '15': 'HI', '16': 'ID', '17': 'IL', '18': 'IN', '19': 'IA',
+  '20': 'KS', '21': 'KY', '22': 'LA', '23': 'ME', '24': 'MD', '25': 'MA', '26': 'MI', '27': 'MN',
+  '28': 'MS', '29': 'MO', '30': 'MT', '31': 'NE', '32': 'NV', '33': 'NH', '34': 'NJ', '35': 'NM',
+  '36': 'NY', '37': 'NC', '38': 'ND', '39': 'OH', '40': 'OK', '41': 'OR', '42': 'PA', '44': 'RI',
+  '45': 'SC', '46': 'SD', '47': 'TN', '48': 'TX', '49': 'UT', '50': 'VT', '51': 'VA', '53': 'WA',
+  '54': 'WV', '55': 'WI', '56': 'WY', '60': 'AS', '66': 'GU', '69': 'MP', '72': 'PR', '78': 'VI',
+};
+
+function stateForFips(fips) {
+  return STATE_FIPS[String(fips).padStart(5, '0').slice(0, 2)] || null;
+}
+
+// Whether service areas were imported with county FIPS codes. A database
+// migrated from an older import has the columns but no codes.
+async function hasCountyFips() {
+  return cached('has-county-fips', async () => {
+    const columns = isPostgres()
+      ? await query("SELECT 1 FROM information_schema.columns WHERE table_name = 'service_areas' AND column_name = 'county_fips'")
+      : await query("SELECT 1 FROM pragma_table_info('service_areas') WHERE name = 'county_fips'");
+    return columns.length > 0 &&
+      (await query('SELECT 1 FROM service_areas WHERE county_fips IS NOT NULL LIMIT 1')).length > 0;
+  });
+}
+
+// FIPS code for a county name in a state, ignoring case and a " County" suffix
+async function getCountyFips(state, county) {
+  if (!state || !county || !(await hasCountyFips())) return null;
+  const name = String(county).trim().replace(/ county$/i, '');
+  return cached(`county-fips:${state}:${name.toLowerCase()}`, async () => {
+    const rows = await query(
+      'SELECT county_fips FROM counties WHERE state_code = ? AND LOWER(county_name) = LOWER(?)',
+      [state, name]
+    );
+    return rows.length > 0 ? rows[0].county_fips : null;
+  });
+}
+
+// A county's name as imported, for a name in any case with or without a
+// " County" suffix, or null when the state has no such county
+async function getCountyName(state, county) {
+  if (!state || !county) return null;
+  const name = String(county).trim().replace(/ county$/i, '');
+  return cached(`county-name:${state}:${name.toLowerCase()}`, async () => {
+    const rows = await hasCountyFips()
+      ? await query('SELECT county_name FROM counties WHERE state_code = ? AND LOWER(county_name) = LOWER(?)', [state, name])
+      : await query('SELECT DISTINCT county_name FROM service_areas WHERE state_code = ? AND LOWER(county_name) = LOWER(?)', [state, name]);
+    return rows.length > 0 ? rows[0].county_name : null;
+  });
+}
+
+// SQL condition and params for service area rows, as sa, that cover a
+// county: the county's own rows and statewide service areas. With a ZIP
+// code, partial-county service areas count only when they list it.
+async function coverageCondition(state, county, zipcode = null) {
+  if (!(await hasCountyFips())) {
+    return { sql: 'sa.state_code = ? AND sa.county_name = ?', params: [state, county] };
+  }
+
+  const fips = await getCountyFips(state, county);
+  if (!fips) return { sql: '1 = 0', params: [] };
+
+  let sql = "sa.state_code = ? AND (sa.county_fips = ? OR sa.cover_entire_state = 'Yes')";
+  const params = [state, fips];
+  const zip = /^\d{5}$/.test(String(zipcode || '')) ? String(zipcode) : null;
+  if (zip) {
+    sql += " AND (sa.partial_county IS NULL OR sa.partial_county <> 'Yes' OR (',' || sa.zip_codes || ',') LIKE ?)";
+    params.push(`%,${zip},%`);
+  }
+  return { sql, params };
+}
+
+// Names of the counties in a state with individual market plans in a
+// coverage year
+async function listCountiesWithPlans(state, year) {
+  return cached(`counties:${year}:${state}`, () => queryCountiesWithPlans(state, year));
+}
+
+async function queryCountiesWithPlans(state, year) {
+  if (!(await hasCountyFips())) {
+    const rows = await query(`
+      SELECT DISTINCT sa.county_name
+      FROM service_areas sa
+      JOIN plans p ON p.service_area_id = sa.service_area_id AND p.state_code = sa.state_code
+        AND p.plan_year = sa.plan_year
+      WHERE sa.state_code = ? AND sa.plan_year = ? AND p.market_coverage = 'Individual'
+        AND sa.county_name IS NOT NULL
+      ORDER BY sa.county_name
+    `, [state, year]);
+    return rows.map(r => r.county_name);
+  }
+
+  const rows = await query(`
+    SELECT c.county_name
+    FROM counties c
+    WHERE c.state_code = ? AND EXISTS (
+      SELECT 1 FROM service_areas sa
+      JOIN plans p ON p.service_area_id = sa.service_area_id AND p.state_code = sa.state_code
+        AND p.plan_year = sa.plan_year
+      WHERE sa.state_code = c.state_code AND sa.plan_year = ? AND p.market_coverage = 'Individual'
+        AND (sa.county_fips = c.county_fips OR sa.cover_entire_state = 'Yes')
+    )
+    ORDER BY c.county_name
+  `, [state, year]);
+  return rows.map(r => r.county_name);
+}
+
+module.exports = {
+  stateForFips,
+  hasCountyFips,
+  getCountyFips,
+  getCountyName,
+  coverageCondition,
+  listCountiesWithPlans,
+};
@@ -0,0 +1,62 @@
+// Cost-sharing reduction (CSR) plan variants
+const { query } = require('../db/init');
+
+// Plan IDs end in a variant suffix; -01 is the standard on-exchange plan
+const CSR_VARIANTS = {
+  '02': 'Zero cost sharing (American Indian/Alaska Native)',
+  '03': 'Limited cost sharing (American Indian/Alaska Native)',
+  '04': 'Cost-sharing reduction (73% actuarial value)',
+  '05': 'Cost-sharing reduction (87% actuarial value)',
+  '06': 'Cost-sharing reduction (94% actuarial value)',
+};
+
+function getVariantSuffix(planId) {
+  const match = /-(\d{2})$/.exec(planId || '');
+  return match ? match[1] : null;
+}
+
+function getVariantLabel(planId) {
+  return CSR_VARIANTS[getVariantSuffix(planId)] || null;
+}
+
+// Variant a household is enrolled in for a plan of the given metal level.
+// Tribal members get zero cost sharing on any metal level up to 300% FPL
+// and limited cost sharing otherwise; everyone else gets a Silver CSR
+// variant between 100% and 250% FPL.
+function getCsrVariant(fplPercent, metalLevel, tribal = false) {
+  if (tribal) {
+    return fplPercent !== null && fplPercent >= 100 && fplPercent <= 300 ? '02' : '03';
+  }
+  if (metalLevel !== 'Silver' || fplPercent === null || fplPercent < 100) return '01';
+  if (fplPercent <= 150) return '06';
+  if (fplPercent <= 200) return '05';
+  if (fplPercent <= 250) return '04';
+  return '01';
+}
+
+// Swap each plan for the variant the household qualifies for, from the
+// same plan year. Plans whose issuer doesn't file that variant are left as
+// they are.
+async function applyCsrVariants(plans, { fplPercent, tribal }) {
+  const wanted = plans.map(p =>
+    `${p.standard_component_id}-${getCsrVariant(fplPercent, p.metal_level, tribal)}`
+  );
+  const missing = [...new Set(wanted.filter((id, i) => id !== plans[i].plan_id))];
+  if (missing.length === 0) return plans;
+
+  const years = [...new Set(plans.map(p => p.plan_year))];
+  const variants = await query(`
+    SELECT * FROM plans
+    WHERE plan_id IN (${missing.map(() => '?').join(',')}) AND plan_year IN (${years.map(() => '?').join(',')})
+  `, [...missing, ...years]);
+  const variantMap = new Map(variants.map(v => [`${v.plan_id}:${v.plan_year}`, v]));
+
+  return plans.map((plan, i) => variantMap.get(`${wanted[i]}:${plan.plan_year}`) || plan);
+}
+
+module.exports = {
+  getVariantSuffix,
+  getVariantLabel,
+  getCsrVariant,
+  applyCsrVariants,
+};
@@ -0,0 +1,218 @@
+// CSV and Excel downloads of plan lists and quotes. Each file starts with a
+// block of the inputs the rows were produced from, then a blank row, then a
+// table with one row per item.
+const { stringify } = require('csv-stringify/sync');
+const ExcelJS = require('exceljs');
+const { describeHousehold } = require('./household');
+const { describeBenefit } = require('./benefit-filters');
+const { RANGE_FILTERS } = require('./plan-filters');
+const { FACETS } = require('./facets');
+const { SORTS } = require('./plan-search');
+const { parseAmount } = require('./money');
+
+const FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+};
+
+const FACET_LABELS = { metal: 'Metal levels', type: 'Plan types', issuer: 'Issuers' };
+
+const MONEY_FORMAT = '$#,##0.00';
+
+function formatMoney(value) {
+  return '$' + value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+}
+
+function describeRange(label, { min, max }) {
+  if (min !== null && max !== null) return `${label} ${formatMoney(min)} to ${formatMoney(max)}`;
+  return min !== null ? `${label} at least ${formatMoney(min)}` : `${label} at most ${formatMoney(max)}`;
+}
+
+// [label, value] rows for the household the plans were priced for:
+// location, household members, income, tax credit and Medicaid screening
+function describePricing(inputs) {
+  const { state, county, zipcode, ratingArea, year, household, pricedHousehold, income, fplPercent, subsidyInfo, medicaid } = inputs;
+  const rows = [];
+
+  rows.push(['Location', [county, state].filter(Boolean).join(', ') + (zipcode ? ` (ZIP ${zipcode})` : '')]);
+  if (ratingArea) rows.push(['Rating area', ratingArea]);
+  if (year) rows.push(['Plan year', year]);
+  rows.push(['Household', describeHousehold(household) + (household.tribal ? ', American Indian or Alaska Native' : '')]);
+  rows.push(['Household size', household.size]);
+  rows.push(['Annual income', income ? formatMoney(income) + (fplPercent ? ` (${Math.round(fplPercent)}% FPL)` : '') : 'Not given']);
+
+  if (subsidyInfo && subsidyInfo.eligible) {
+    rows.push(['Estimated tax credit', `${formatMoney(subsidyInfo.subsidy)}/month`]);
+  } else if (income) {
+    rows.push(['Estimated tax credit', 'Not eligible']);
+  }
+  const comparison = subsidyInfo && subsidyInfo.comparison;
+  if (comparison) {
+    rows.push(['Enhanced tax credit', comparison.eligible ? `${formatMoney(comparison.subsidy)}/month` : 'Not eligible']);
+  }
+
+  if (medicaid && medicaid.anyEligible) {
+    const members = medicaid.members.filter(m => m.program)
+      .map(m => `Age ${m.age} likely qualifies for ${m.program === 'chip' ? 'CHIP' : 'Medicaid'}`);
+    rows.push(['Medicaid and CHIP', members.join('; ')]);
+    const applying = pricedHousehold.members.some(m => m.applying);
+    rows.push(['Premiums priced for', applying ? describeHousehold(pricedHousehold) : 'No one']);
+  }
+  return rows;
+}
+
+// [label, value] rows for the /plans filters, usage and sort
+function describeSearch({ facets, ranges, benefitCriteria, usage, sort, total }) {
+  const rows = [];
+  for (const key of Object.keys(FACETS)) {
+    if (facets[key].length > 0) rows.push([FACET_LABELS[key], facets[key].join(', ')]);
+  }
+  for (const [key, range] of Object.entries(ranges)) {
+    rows.push(['Cost range', describeRange(RANGE_FILTERS[key].label, range)]);
+  }
+  if (benefitCriteria.length > 0) {
+    rows.push(['Benefits', benefitCriteria.map(c => c.label).join('; ')]);
+  }
+  if (usage) rows.push(['Expected use', usage.label]);
+  rows.push(['Sorted by', SORTS[sort].label]);
+  rows.push(['Plans', total]);
+  return rows;
+}
+
+// Cost sharing of a benefit. A benefit missing from the plan's Benefits PUF
+// rows is "Not listed": that doesn't mean the plan doesn't cover it.
+function benefitCell(row) {
+  if (!row) return 'Not listed';
+  if (!['1', 'Covered'].includes(row.is_covered)) return 'Not covered';
+  return describeBenefit(row);
+}
+
+// Columns for one row per plan. benefits is [{ header, name }] with the
+// Benefits PUF benefit name of each cost-sharing column; benefitsMap should
+// include Not Covered rows.
+function planColumns(plans, benefits, benefitsMap) {
+  const columns = [
+    { header: 'Plan ID', value: plan => plan.plan_id },
+    { header: 'Plan name', value: plan => plan.plan_marketing_name },
+    { header: 'Issuer', value: plan => plan.issuer_name },
+    { header: 'Metal level', value: plan => plan.metal_level },
+    { header: 'Plan type', value: plan => plan.plan_type },
+    { header: 'Cost-sharing reduction', value: plan => plan.csr_label || '' },
+    { header: 'HSA eligible', value: plan => plan.hsa_eligible },
+    { header: 'Monthly premium', money: true, value: plan => plan.monthly_premium },
+  ];
+
+  if (plans.some(plan => typeof plan.subsidized_premium === 'number')) {
+    columns.push({ header: 'Premium after tax credit', money: true, value: plan => plan.subsidized_premium });
+  }
+  if (plans.some(plan => typeof plan.comparison_premium === 'number')) {
+    columns.push({ header: 'Premium with enhanced credit', money: true, value: plan => plan.comparison_premium });
+  }
+
+  columns.push(
+    { header: 'Deductible (individual)', money: true, value: plan => parseAmount(plan.medical_deductible_individual) },
+    { header: 'Deductible (family)', money: true, value: plan => parseAmount(plan.medical_deductible_family, true) },
+    { header: 'Drug deductible (individual)', money: true, value: plan => parseAmount(plan.drug_deductible_individual) },
+    { header: 'Out-of-pocket max (individual)', money: true, value: plan => parseAmount(plan.medical_moop_individual) },
+    { header: 'Out-of-pocket max (family)', money: true, value: plan => parseAmount(plan.medical_moop_family, true) },
+  );
+
+  const withCost = plans.find(plan => plan.annual_cost);
+  if (withCost) {
+    columns.push({
+      header: `Estimated annual cost (${withCost.annual_cost.usageLabel.toLowerCase()})`,
+      money: true,
+      value: plan => plan.annual_cost && plan.annual_cost.total,
+    });
+  }
+
+  for (const benefit of benefits) {
+    columns.push({
+      header: benefit.header,
+      value: plan => {
+        const row = (benefitsMap[plan.plan_id] || []).find(b => b.benefit_name === benefit.name);
+        return benefitCell(row);
+      },
+    });
+  }
+  return columns;
+}
+
+function cellValue(column, item) {
+  const value = column.value(item);
+  return value === null || value === undefined ? '' : value;
+}
+
+// Spreadsheets run text starting with = + - or @ as a formula; a leading
+// quote keeps plan names, references and uploaded values as text
+function csvCell(value) {
+  return typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : value;
+}
+
+function toCsv(context, columns, items) {
+  const rows = [
+    ...context,
+    [],
+    columns.map(c => c.header),
+    ...items.map(item => columns.map(c => cellValue(c, item))),
+  ];
+  // The byte order mark makes Excel read the file as UTF-8
+  return Buffer.from(stringify(rows.map(row => row.map(csvCell)), { bom: true }));
+}
+
+async function toXlsx(context, columns, items, title) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(title);
+
+  for (const row of context) {
+    sheet.addRow(row).getCell(1).font = { bold: true };
+  }
+  sheet.addRow([]);
+
+  const header = sheet.addRow(columns.map(c => c.header));
+  header.font = { bold: true };
+  header.eachCell(cell => {
+    cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFF1F5F9' } };
+  });
+  sheet.autoFilter = { from: { row: header.number, column: 1 }, to: { row: header.number, column: columns.length } };
+
+  for (const item of items) {
+    sheet.addRow(columns.map(c => cellValue(c, item)));
+  }
+
+  columns.forEach((column, i) => {
+    const col = sheet.getColumn(i + 1);
+    col.width = Math.min(Math.max(column.header.length + 2, 14), 40);
+    if (column.money) {
+      col.eachCell((cell, rowNumber) => {
+        if (rowNumber > header.number) cell.numFmt = MONEY_FORMAT;
+      });
+    }
+  });
+  // Context labels share the first column with the table
+  sheet.getColumn(1).width = Math.max(sheet.getColumn(1).width, ...context.map(row => String(row[0]).length + 2));
+
+  return workbook.xlsx.writeBuffer();
+}
+
+// A file in format (a FORMATS key). context is the [label, value] header
+// block; columns are [{ header, value(item), money }].
+async function exportTable(format, { title, context, columns, items }) {
+  const rows = [['Exported', new Date().toISOString().slice(0, 10)], ...context];
+  if (format === 'xlsx') return Buffer.from(await toXlsx(rows, columns, items, title));
+  return toCsv(rows, columns, items);
+}
+
+// A file of plans; benefits are the cost-sharing columns, see planColumns
+function exportPlans(format, { title, context, plans, benefits, benefitsMap }) {
+  const columns = planColumns(plans, benefits, benefitsMap);
+  return exportTable(format, { title, context, columns, items: plans });
+}
+
+module.exports = {
+  FORMATS,
+  describePricing,
+  describeSearch,
+  exportTable,
+  exportPlans,
+};
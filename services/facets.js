@@ -0,0 +1,52 @@
+// Multi-select metal level, plan type and issuer filters with a count of
+// plans for each option. Keys are the query parameters.
+const FACETS = {
+  metal: { field: 'metal_level' },
+  type: { field: 'plan_type' },
+  issuer: { field: 'issuer_name' },
+};
+
+// metal=Bronze&metal=Silver, or a single value. "all" (the old select's
+// default) and blanks select nothing.
+function parseFacets(query) {
+  const selected = {};
+  for (const key of Object.keys(FACETS)) {
+    const values = [].concat(query[key] || [])
+      .filter(value => typeof value === 'string' && value !== '' && value !== 'all');
+    selected[key] = [...new Set(values)];
+  }
+  return selected;
+}
+
+function matchesFacets(plan, selected, except = null) {
+  return Object.entries(selected).every(([key, values]) =>
+    key === except || values.length === 0 || values.includes(plan[FACETS[key].field])
+  );
+}
+
+// Plans matching every facet; options within a facet are alternatives
+function applyFacets(plans, selected) {
+  return plans.filter(plan => matchesFacets(plan, selected));
+}
+
+// { metal: { Bronze: 4, ... }, ... } where each facet's counts apply the
+// other facets' selections but not its own, so each number is how many
+// plans that option would add or leave
+function countFacets(plans, selected) {
+  const counts = {};
+  for (const [key, { field }] of Object.entries(FACETS)) {
+    counts[key] = {};
+    for (const plan of plans) {
+      if (!plan[field] || !matchesFacets(plan, selected, key)) continue;
+      counts[key][plan[field]] = (counts[key][plan[field]] || 0) + 1;
+    }
+  }
+  return counts;
+}
+
+module.exports = {
+  FACETS,
+  parseFacets,
+  applyFacets,
+  countFacets,
+};
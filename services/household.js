@@ -0,0 +1,109 @@
+// Household parsing and ACA family rating rules
+
+const MAX_MEMBERS = 8;
+const DEFAULT_AGE = 30;
+
+// Only the three oldest covered children under 21 are charged a premium
+const MAX_CHARGED_CHILDREN = 3;
+const CHILD_AGE_LIMIT = 21;
+
+// Forms send a hidden "no" followed by a checkbox "yes", so take the last value
+function lastValue(value) {
+  return Array.isArray(value) ? value[value.length - 1] : value;
+}
+
+function isOn(value) {
+  const v = String(lastValue(value)).toLowerCase();
+  return v === 'on' || v === 'yes' || v === 'true' || v === '1';
+}
+
+function parseAge(value) {
+  const age = parseInt(lastValue(value), 10);
+  if (isNaN(age)) return DEFAULT_AGE;
+  return Math.min(Math.max(age, 0), 120);
+}
+
+// Build a household from the query string. Members arrive as
+// members[0][age]=40&members[0][tobacco]=on&members[0][applying]=no.
+// Older links only carry age, tobacco and household size; those are
+// treated as a single applicant in a household of that size.
+// tribal=on marks a household of American Indian/Alaska Native members.
+function parseHousehold(query) {
+  let members = [];
+  const tribal = query.tribal !== undefined && isOn(query.tribal);
+
+  if (query.members && typeof query.members === 'object') {
+    const raw = Array.isArray(query.members) ? query.members : Object.values(query.members);
+    members = raw
+      .filter(m => m && typeof m === 'object' && lastValue(m.age) !== undefined && lastValue(m.age) !== '')
+      .slice(0, MAX_MEMBERS)
+      .map(m => ({
+        age: parseAge(m.age),
+        tobacco: m.tobacco !== undefined && isOn(m.tobacco),
+        applying: m.applying === undefined || isOn(m.applying),
+      }));
+  }
+
+  if (members.length > 0) {
+    return { members, size: members.length, tribal };
+  }
+
+  const size = parseInt(query.household, 10);
+  return {
+    members: [{
+      age: parseAge(query.age || DEFAULT_AGE),
+      tobacco: query.tobacco === 'on',
+      applying: true,
+    }],
+    size: isNaN(size) ? 1 : Math.min(Math.max(size, 1), MAX_MEMBERS),
+    tribal,
+  };
+}
+
+// Members who are applying, each flagged with whether they are charged a premium
+function getCoveredMembers(members) {
+  const covered = members.filter(m => m.applying);
+  const children = covered
+    .filter(m => m.age < CHILD_AGE_LIMIT)
+    .sort((a, b) => b.age - a.age);
+  const chargedChildren = new Set(children.slice(0, MAX_CHARGED_CHILDREN));
+
+  return covered.map(m => ({
+    ...m,
+    charged: m.age >= CHILD_AGE_LIMIT || chargedChildren.has(m),
+  }));
+}
+
+// Serialize a household back into query parameters for links
+function toQueryParams(household, params = new URLSearchParams()) {
+  household.members.forEach((m, i) => {
+    params.append(`members[${i}][age]`, m.age);
+    if (m.tobacco) params.append(`members[${i}][tobacco]`, 'on');
+    if (!m.applying) params.append(`members[${i}][applying]`, 'no');
+  });
+  if (household.size > household.members.length) {
+    params.append('household', household.size);
+  }
+  if (household.tribal) {
+    params.append('tribal', 'on');
+  }
+  return params;
+}
+
+function describeHousehold(household) {
+  const ages = household.members
+    .filter(m => m.applying)
+    .map(m => m.age + (m.tobacco ? ' (tobacco)' : ''));
+  if (ages.length === 1) {
+    return `Age ${ages[0]}`;
+  }
+  return `Ages ${ages.join(', ')}`;
+}
+
+module.exports = {
+  MAX_MEMBERS,
+  parseHousehold,
+  getCoveredMembers,
+  toQueryParams,
+  describeHousehold,
+};
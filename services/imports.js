@@ -0,0 +1,33 @@
+// The import manifest: the source files behind the data being served, as
+// recorded by db/import.js, and when the data was last updated
+const { query, isPostgres } = require('../db/init');
+const { cached } = require('./cache');
+
+// Source files of the last import, by plan year and table. Empty for
+// databases imported before the manifest was kept.
+async function listImports() {
+  return cached('imports', async () => {
+    const tables = isPostgres()
+      ? await query("SELECT 1 FROM information_schema.tables WHERE table_schema = current_schema() AND table_name = 'imports'")
+      : await query("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'imports'");
+    if (tables.length === 0) return [];
+    const rows = await query('SELECT file_name, puf_type, plan_year, checksum, row_count, imported_at FROM imports ORDER BY plan_year, puf_type, file_name');
+    return rows.map(r => ({
+      ...r,
+      plan_year: r.plan_year === null ? null : Number(r.plan_year),
+      row_count: r.row_count === null ? null : Number(r.row_count),
+    }));
+  });
+}
+
+// When any source file was last loaded, or null without a manifest
+async function getDataUpdatedAt() {
+  const imports = await listImports();
+  const times = imports.map(i => new Date(i.imported_at)).filter(date => !isNaN(date));
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
+module.exports = {
+  listImports,
+  getDataUpdatedAt,
+};
@@ -0,0 +1,79 @@
+// Medicaid and CHIP eligibility screening
+const fs = require('fs');
+const path = require('path');
+
+// Income limits by state, as a percent of FPL. See the file's _comment.
+const STATES = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '..', 'data', 'medicaid', 'states.json'), 'utf8')
+).states;
+
+const CHILD_AGE_LIMIT = 19;
+const MEDICARE_AGE = 65;
+
+// The lowest income at which a household can get a premium tax credit
+const TAX_CREDIT_FLOOR = 100;
+
+function getStateRules(state) {
+  return STATES[state] || null;
+}
+
+// Program a member likely qualifies for: 'medicaid', 'chip' or null.
+// Adults living with a child under 19 are screened against the parent limit.
+function screenMember(member, rules, fplPercent, hasChildren) {
+  if (member.age < CHILD_AGE_LIMIT) {
+    const band = rules.children.find(b => member.age <= b.maxAge);
+    if (!band) return null;
+    if (fplPercent <= band.medicaid) return 'medicaid';
+    if (fplPercent <= band.chip) return 'chip';
+    return null;
+  }
+  if (member.age >= MEDICARE_AGE) return null;
+
+  const limit = hasChildren ? Math.max(rules.adults, rules.parents) : rules.adults;
+  return fplPercent <= limit ? 'medicaid' : null;
+}
+
+// Screen every member who needs coverage. Adults under 100% FPL who don't
+// qualify for Medicaid are in the coverage gap: too little income for a tax
+// credit in a state that hasn't expanded Medicaid.
+// Returns null when the state has no rules or income is unknown.
+function screenHousehold(household, { state, fplPercent }) {
+  const rules = getStateRules(state);
+  if (!rules || fplPercent === null || fplPercent === undefined) return null;
+
+  const hasChildren = household.members.some(m => m.age < CHILD_AGE_LIMIT);
+  const members = household.members.map(m => {
+    const program = m.applying ? screenMember(m, rules, fplPercent, hasChildren) : null;
+    const coverageGap = m.applying && !program && !rules.expansion
+      && m.age >= CHILD_AGE_LIMIT && m.age < MEDICARE_AGE && fplPercent < TAX_CREDIT_FLOOR;
+    return { ...m, program, coverageGap };
+  });
+
+  return {
+    state,
+    stateName: rules.name,
+    expansion: rules.expansion,
+    fplPercent: Math.round(fplPercent),
+    members,
+    anyEligible: members.some(m => m.program),
+    coverageGap: members.some(m => m.coverageGap),
+  };
+}
+
+// The household to price marketplace plans for: members headed to Medicaid
+// or CHIP no longer need a plan, but still count toward household size.
+function marketplaceHousehold(household, screening) {
+  if (!screening || !screening.anyEligible) return household;
+  return {
+    ...household,
+    members: household.members.map((m, i) =>
+      screening.members[i].program ? { ...m, applying: false } : m
+    ),
+  };
+}
+
+module.exports = {
+  getStateRules,
+  screenHousehold,
+  marketplaceHousehold,
+};
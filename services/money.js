@@ -0,0 +1,17 @@
+// Dollar amounts from PUF text fields
+
+// "$7,500" or "$3,000 per person | $6,000 per group" to a number; null for
+// "Not Applicable" and other values without an amount. perGroup picks the
+// family-wide amount when the field lists both.
+function parseAmount(value, perGroup = false) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return value;
+  const text = String(value);
+  const group = perGroup && /\$([\d,.]+)\s*per group/i.exec(text);
+  const match = group || /\$?([\d,]+(?:\.\d+)?)/.exec(text);
+  if (!match) return null;
+  const num = parseFloat(match[1].replace(/,/g, ''));
+  return isNaN(num) ? null : num;
+}
+
+module.exports = { parseAmount };
@@ -0,0 +1,64 @@
+// Minimum/maximum filters on plan costs
+const { parseAmount } = require('./money');
+
+// Query parameter prefix for each range and how to read it from a plan.
+// Premium is the monthly premium after any tax credit. Plans whose drug
+// deductible is included in the medical deductible are filtered on that.
+const RANGE_FILTERS = {
+  premium: {
+    label: 'Monthly premium',
+    value: plan => (typeof plan.subsidized_premium === 'number' ? plan.subsidized_premium : parseAmount(plan.monthly_premium)),
+  },
+  deductible: {
+    label: 'Deductible',
+    value: plan => parseAmount(plan.medical_deductible_individual),
+  },
+  moop: {
+    label: 'Out-of-pocket max',
+    value: plan => parseAmount(plan.medical_moop_individual),
+  },
+  drug_deductible: {
+    label: 'Drug deductible',
+    value: plan => {
+      const drug = parseAmount(plan.drug_deductible_individual);
+      return drug !== null ? drug : parseAmount(plan.medical_deductible_individual);
+    },
+  },
+};
+
+function parseBound(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const num = parseFloat(String(value).replace(/[$,]/g, ''));
+  return isNaN(num) || num < 0 ? null : num;
+}
+
+// { premium: { min, max }, ... } from premium_min, premium_max, deductible_min, ...
+// Only ranges with at least one bound are returned.
+function parseRangeFilters(query) {
+  const ranges = {};
+  for (const key of Object.keys(RANGE_FILTERS)) {
+    const min = parseBound(query[`${key}_min`]);
+    const max = parseBound(query[`${key}_max`]);
+    if (min !== null || max !== null) ranges[key] = { min, max };
+  }
+  return ranges;
+}
+
+// Plans within every range. A plan missing a value can't be shown to be
+// within a range, so it is left out.
+function applyRangeFilters(plans, ranges) {
+  const active = Object.entries(ranges);
+  if (active.length === 0) return plans;
+
+  return plans.filter(plan => active.every(([key, { min, max }]) => {
+    const value = RANGE_FILTERS[key].value(plan);
+    if (value === null || value === undefined) return false;
+    return (min === null || value >= min) && (max === null || value <= max);
+  }));
+}
+
+module.exports = {
+  RANGE_FILTERS,
+  parseRangeFilters,
+  applyRangeFilters,
+};
@@ -0,0 +1,242 @@
+// County plan search shared by the /plans page and the JSON API: the
+// on-exchange plans sold in a county, priced for a household, with tax
+// credits, filters, sorting and paging
+const { query } = require('../db/init');
+const { parseHousehold } = require('./household');
+const { getHouseholdPremiums } = require('./rates');
+const { resolveRatingArea } = require('./rating-area');
+const { estimateHouseholdSubsidy } = require('./benchmark');
+const { getFPLPercent, parseIncome } = require('./subsidy');
+const { applyCsrVariants, getVariantLabel } = require('./csr');
+const { getBenefitsForPlans } = require('./benefits');
+const { screenHousehold, marketplaceHousehold } = require('./medicaid');
+const { parseRangeFilters, applyRangeFilters } = require('./plan-filters');
+const { parseBenefitCriteria, applyBenefitCriteria } = require('./benefit-filters');
+const { parseFacets, applyFacets, countFacets } = require('./facets');
+const { getUsage, parseUsage, estimateAnnualCost } = require('./annual-cost');
+const { parseAmount } = require('./money');
+const { coverageCondition } = require('./counties');
+const { cached } = require('./cache');
+const { resolvePlanYear } = require('./plan-years');
+
+const DEFAULT_SORT = 'price_asc';
+const DEFAULT_PER_PAGE = 25;
+const MAX_PER_PAGE = 100;
+
+// Monthly premium after any tax credit
+function netPremium(plan) {
+  return typeof plan.subsidized_premium === 'number' ? plan.subsidized_premium : plan.monthly_premium;
+}
+
+// Plans missing the sorted value go last in either direction
+function byValue(value, direction = 1) {
+  const missing = v => v === null || v === undefined || Number.isNaN(v);
+  return (a, b) => {
+    const x = value(a);
+    const y = value(b);
+    if (missing(x) || missing(y)) return missing(x) - missing(y);
+    return (x - y) * direction;
+  };
+}
+
+const SORTS = {
+  price_asc: { label: 'Price: Low to High', compare: byValue(netPremium) },
+  price_desc: { label: 'Price: High to Low', compare: byValue(netPremium, -1) },
+  deductible_asc: { label: 'Deductible: Low to High', compare: byValue(plan => parseAmount(plan.medical_deductible_individual)) },
+  deductible_desc: { label: 'Deductible: High to Low', compare: byValue(plan => parseAmount(plan.medical_deductible_individual), -1) },
+  oop_asc: { label: 'Out-of-Pocket Max: Low to High', compare: byValue(plan => parseAmount(plan.medical_moop_individual)) },
+  annual_asc: { label: 'Estimated Annual Cost: Low to High', compare: byValue(plan => plan.annual_cost && plan.annual_cost.total) },
+};
+
+// States with individual market plans in a coverage year
+async function listStatesWithPlans(year) {
+  return cached(`states:${year}`, async () => {
+    const rows = await query(`
+      SELECT DISTINCT state_code FROM plans
+      WHERE market_coverage = 'Individual' AND plan_year = ?
+      ORDER BY state_code
+    `, [year]);
+    return rows.map(r => r.state_code);
+  });
+}
+
+// Metal levels, plan types and issuers to offer as filters
+async function getFilterOptions(state, county, zipcode = null, year = null) {
+  return cached(`filters:${year || ''}:${state}:${county}:${zipcode || ''}`, () => queryFilterOptions(state, county, zipcode, year));
+}
+
+async function queryFilterOptions(state, county, zipcode, year) {
+  const metalLevels = await query(`
+    SELECT DISTINCT metal_level,
+      CASE metal_level
+        WHEN 'Catastrophic' THEN 1
+        WHEN 'Bronze' THEN 2
+        WHEN 'Expanded Bronze' THEN 3
+        WHEN 'Silver' THEN 4
+        WHEN 'Gold' THEN 5
+        WHEN 'Platinum' THEN 6
+        ELSE 7
+      END as sort_order
+    FROM plans
+    WHERE state_code = ? AND plan_year = ? AND metal_level IS NOT NULL AND market_coverage = 'Individual'
+      AND metal_level NOT IN ('High', 'Low')
+    ORDER BY sort_order
+  `, [state, year]);
+
+  const planTypes = await query(`
+    SELECT DISTINCT plan_type FROM plans
+    WHERE state_code = ? AND plan_year = ? AND plan_type IS NOT NULL AND market_coverage = 'Individual'
+    ORDER BY plan_type
+  `, [state, year]);
+
+  const coverage = await coverageCondition(state, county, zipcode);
+  const issuers = await query(`
+    SELECT DISTINCT p.issuer_name
+    FROM plans p
+    JOIN service_areas sa ON p.service_area_id = sa.service_area_id AND p.state_code = sa.state_code
+      AND sa.plan_year = p.plan_year
+    WHERE ${coverage.sql} AND p.plan_year = ? AND p.market_coverage = 'Individual'
+      AND p.plan_id LIKE '%-01' AND p.issuer_name IS NOT NULL
+      AND p.metal_level NOT IN ('High', 'Low')
+    ORDER BY p.issuer_name
+  `, [...coverage.params, year]);
+
+  return {
+    metalLevels: metalLevels.map(m => m.metal_level),
+    planTypes: planTypes.map(t => t.plan_type),
+    issuers: issuers.map(i => i.issuer_name),
+  };
+}
+
+// Plans for state and county with every filter in the query string applied:
+// year, household, income, enhanced, zipcode, metal, type, issuer, cost
+// ranges, benefit criteria (bf), usage and sort. A missing or unknown year is
+// the default year. perPage limits the plans returned to one page; without
+// it every plan is returned.
+async function searchCountyPlans(state, county, params, { page = 1, perPage = null } = {}) {
+  const year = await resolvePlanYear(params.year);
+  const countyPlans = await cached(`plans:${year}:${state}:${county}:${params.zipcode || ''}`, async () => {
+    const coverage = await coverageCondition(state, county, params.zipcode);
+    return query(`
+      SELECT DISTINCT p.*
+      FROM plans p
+      JOIN service_areas sa ON p.service_area_id = sa.service_area_id AND p.state_code = sa.state_code
+        AND sa.plan_year = p.plan_year
+      WHERE ${coverage.sql} AND p.plan_year = ? AND p.market_coverage = 'Individual'
+        AND p.plan_id LIKE '%-01'
+        AND p.metal_level NOT IN ('High', 'Low')
+      ORDER BY p.metal_level, p.medical_deductible_individual, p.plan_marketing_name
+    `, [...coverage.params, year]);
+  });
+  // Prices, labels and costs are added to each plan below
+  let plans = countyPlans.map(plan => ({ ...plan }));
+
+  const household = parseHousehold(params);
+  const income = parseIncome(params.income);
+  const compareEnhanced = params.enhanced === 'on';
+  const fplPercent = income ? getFPLPercent(income, household.size, { year, state }) : null;
+
+  // Members likely eligible for Medicaid or CHIP are left out of plan pricing
+  const medicaid = screenHousehold(household, { state, fplPercent });
+  const pricedHousehold = marketplaceHousehold(household, medicaid);
+
+  // Show the CSR variant of each plan the household would be enrolled in
+  if (income || household.tribal) {
+    plans = await applyCsrVariants(plans, { fplPercent, tribal: household.tribal });
+  }
+  for (const plan of plans) {
+    plan.csr_label = getVariantLabel(plan.plan_id);
+  }
+
+  // Household premiums for all plans, keyed by standard component ID
+  const ratingArea = await resolveRatingArea(state, county, params.zipcode);
+  const planIds = [...new Set(plans.map(p => p.standard_component_id))];
+  const premiums = await getHouseholdPremiums(planIds, pricedHousehold, ratingArea, year);
+
+  const subsidyInfo = await estimateHouseholdSubsidy({
+    state, county, zipcode: params.zipcode, ratingArea, household: pricedHousehold, income, year,
+    compareSchedule: compareEnhanced ? 'enhanced' : null
+  });
+  const comparison = subsidyInfo && subsidyInfo.comparison;
+
+  for (const plan of plans) {
+    const premium = premiums[plan.standard_component_id];
+    if (premium) {
+      plan.monthly_premium = Math.round(premium.total * 100) / 100;
+      if (subsidyInfo && subsidyInfo.eligible) {
+        plan.subsidized_premium = Math.max(0, Math.round(plan.monthly_premium - subsidyInfo.subsidy));
+      }
+      if (comparison && comparison.eligible) {
+        plan.comparison_premium = Math.max(0, Math.round(plan.monthly_premium - comparison.subsidy));
+      }
+    } else {
+      plan.monthly_premium = null;
+    }
+  }
+
+  // Cost ranges apply to the household's premium after any tax credit
+  const ranges = parseRangeFilters(params);
+  plans = applyRangeFilters(plans, ranges);
+
+  // Benefit criteria and the annual cost estimate both need each plan's benefits
+  const sort = Object.prototype.hasOwnProperty.call(SORTS, params.sort) ? params.sort : DEFAULT_SORT;
+  const benefitCriteria = parseBenefitCriteria(params);
+  const usage = parseUsage(params) || (sort === 'annual_asc' ? getUsage('medium') : null);
+  const benefitsMap = benefitCriteria.length > 0 || usage ? await getBenefitsForPlans(plans) : {};
+  plans = applyBenefitCriteria(plans, benefitCriteria, benefitsMap);
+
+  // Metal, type and issuer are applied last so their counts reflect every other filter
+  const facets = parseFacets(params);
+  const facetCounts = countFacets(plans, facets);
+  plans = applyFacets(plans, facets);
+
+  // Estimated annual cost under the chosen usage; sorting by it defaults to medium usage
+  if (usage) {
+    for (const plan of plans) {
+      plan.annual_cost = estimateAnnualCost(
+        plan, benefitsMap[plan.plan_id], pricedHousehold, usage, netPremium(plan)
+      );
+    }
+  }
+
+  plans.sort(SORTS[sort].compare);
+
+  const total = plans.length;
+  const size = perPage ? Math.min(Math.max(perPage, 1), MAX_PER_PAGE) : Math.max(total, 1);
+  const pageCount = Math.max(1, Math.ceil(total / size));
+  const pageNumber = Math.max(page, 1);
+
+  return {
+    plans: plans.slice((pageNumber - 1) * size, pageNumber * size),
+    total,
+    page: pageNumber,
+    perPage: size,
+    pageCount,
+    year,
+    ratingArea,
+    household,
+    pricedHousehold,
+    income,
+    fplPercent,
+    compareEnhanced,
+    medicaid,
+    subsidyInfo,
+    ranges,
+    benefitCriteria,
+    facets,
+    facetCounts,
+    usage,
+    sort,
+  };
+}
+
+module.exports = {
+  SORTS,
+  DEFAULT_SORT,
+  DEFAULT_PER_PAGE,
+  MAX_PER_PAGE,
+  netPremium,
+  listStatesWithPlans,
+  getFilterOptions,
+  searchCountyPlans,
+};
@@ -0,0 +1,70 @@
+// Coverage years. The database can hold several plan years side by side;
+// pages show one at a time, defaulting to the year people are shopping for.
+// From November 1, when open enrollment starts, that is next year once its
+// plans are loaded.
+const { query } = require('../db/init');
+const { cached } = require('./cache');
+
+// November, as a Date month
+const OPEN_ENROLLMENT_MONTH = 10;
+
+// Years with plans, oldest first
+async function listPlanYears() {
+  return cached('plan-years', async () => {
+    const rows = await query('SELECT DISTINCT plan_year FROM plans WHERE plan_year IS NOT NULL ORDER BY plan_year');
+    return rows.map(r => Number(r.plan_year));
+  });
+}
+
+// Next year during open enrollment, then this year, then the latest past
+// year, then the earliest year loaded
+function defaultPlanYear(years, today = new Date()) {
+  if (years.length === 0) return null;
+  const thisYear = today.getFullYear();
+  if (today.getMonth() >= OPEN_ENROLLMENT_MONTH && years.includes(thisYear + 1)) return thisYear + 1;
+  if (years.includes(thisYear)) return thisYear;
+  const past = years.filter(y => y < thisYear);
+  return past.length > 0 ? Math.max(...past) : Math.min(...years);
+}
+
+// A requested year that has plans, or the default year
+async function resolvePlanYear(value) {
+  const years = await listPlanYears();
+  const year = Number(value);
+  return years.includes(year) ? year : defaultPlanYear(years);
+}
+
+// Plans for planIds in the order given. Each is the plan for the year when it
+// is offered that year, else the default year, else its latest year.
+async function getPlansById(planIds, year = null) {
+  if (planIds.length === 0) return [];
+  const rows = await query(
+    `SELECT * FROM plans WHERE plan_id IN (${planIds.map(() => '?').join(',')}) ORDER BY plan_year DESC`,
+    planIds
+  );
+  const preferred = [Number(year), defaultPlanYear(await listPlanYears())];
+  return planIds.map(id => {
+    const versions = rows.filter(p => p.plan_id === id);
+    return preferred.map(y => versions.find(p => Number(p.plan_year) === y)).find(Boolean) || versions[0];
+  }).filter(Boolean);
+}
+
+async function getPlanById(planId, year = null) {
+  const plans = await getPlansById([planId], year);
+  return plans[0] || null;
+}
+
+// Years a plan ID is offered, oldest first
+async function getPlanYearsFor(planId) {
+  const rows = await query('SELECT plan_year FROM plans WHERE plan_id = ? ORDER BY plan_year', [planId]);
+  return rows.map(r => Number(r.plan_year));
+}
+
+module.exports = {
+  listPlanYears,
+  defaultPlanYear,
+  resolvePlanYear,
+  getPlansById,
+  getPlanById,
+  getPlanYearsFor,
+};
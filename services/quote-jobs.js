@@ -0,0 +1,105 @@
+// Bulk quote jobs. Jobs are kept in memory and run one at a time in the
+// background, one household per turn of the event loop so page requests
+// are still served while a large file is quoted. Finished jobs are dropped
+// after JOB_TTL.
+const crypto = require('crypto');
+const { normalizeQuoteInput, quoteHousehold } = require('./quotes');
+
+const JOB_TTL = 60 * 60 * 1000;
+const MAX_PENDING = 20;
+
+const jobs = new Map();
+const queue = [];
+let running = false;
+
+function pruneJobs() {
+  const cutoff = Date.now() - JOB_TTL;
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && job.finishedAt.getTime() < cutoff) jobs.delete(id);
+  }
+}
+
+function pendingCount() {
+  return [...jobs.values()].filter(job => !job.finishedAt).length;
+}
+
+async function runJob(job) {
+  job.status = 'running';
+  job.startedAt = new Date();
+  for (const raw of job.inputs) {
+    let quote;
+    try {
+      quote = await quoteHousehold(normalizeQuoteInput(raw));
+    } catch (err) {
+      console.error(err.stack);
+      quote = { ref: raw && raw.ref ? String(raw.ref) : '', error: 'Could not quote this household' };
+    }
+    job.results.push({ row: job.results.length + 1, ...quote });
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  job.inputs = null;
+  job.status = 'complete';
+  job.finishedAt = new Date();
+}
+
+async function runQueue() {
+  if (running) return;
+  running = true;
+  try {
+    while (queue.length > 0) {
+      await runJob(queue.shift());
+    }
+  } finally {
+    running = false;
+  }
+}
+
+// Queues a job for households (CSV rows or JSON objects). Returns null when
+// too many jobs are already waiting.
+function createQuoteJob(households) {
+  pruneJobs();
+  if (pendingCount() >= MAX_PENDING) return null;
+
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    total: households.length,
+    inputs: households,
+    results: [],
+    createdAt: new Date(),
+    startedAt: null,
+    finishedAt: null,
+  };
+  jobs.set(job.id, job);
+  queue.push(job);
+  runQueue();
+  return job;
+}
+
+function getQuoteJob(id) {
+  pruneJobs();
+  return jobs.get(id) || null;
+}
+
+// Status for API responses; results are included once the job is complete
+function describeJob(job) {
+  const completed = job.results.length;
+  return {
+    id: job.id,
+    status: job.status,
+    total: job.total,
+    completed,
+    progress: job.total > 0 ? Math.round((completed / job.total) * 100) : 100,
+    errors: job.results.filter(q => q.error).length,
+    created_at: job.createdAt.toISOString(),
+    finished_at: job.finishedAt ? job.finishedAt.toISOString() : null,
+    expires_at: job.finishedAt ? new Date(job.finishedAt.getTime() + JOB_TTL).toISOString() : null,
+    results: job.status === 'complete' ? job.results : undefined,
+  };
+}
+
+module.exports = {
+  createQuoteJob,
+  getQuoteJob,
+  describeJob,
+};
@@ -0,0 +1,218 @@
+// Quotes for many households at once: the benchmark plan, tax credit and
+// cheapest plan of each metal level, as /plans would price them
+const { parse } = require('csv-parse/sync');
+const { MAX_MEMBERS, parseHousehold, describeHousehold } = require('./household');
+const { parseIncome } = require('./subsidy');
+const { lookupZip, normalizeZip } = require('./zipcodes');
+const { netPremium, searchCountyPlans } = require('./plan-search');
+const { listPlanYears } = require('./plan-years');
+
+const MAX_HOUSEHOLDS = 500;
+
+const METALS = ['Catastrophic', 'Bronze', 'Expanded Bronze', 'Silver', 'Gold', 'Platinum'];
+
+// Other names accepted for CSV columns
+const COLUMN_ALIASES = {
+  zip: 'zipcode',
+  zip_code: 'zipcode',
+  name: 'ref',
+  id: 'ref',
+  client: 'ref',
+};
+
+// Households from an uploaded CSV with a header row of ref, zipcode, state,
+// county, ages, income, tribal and year. Throws when the file can't be parsed.
+function parseQuoteCsv(text) {
+  return parse(text, {
+    bom: true,
+    columns: header => header.map(h => {
+      const name = String(h).trim().toLowerCase().replace(/\s+/g, '_');
+      return COLUMN_ALIASES[name] || name;
+    }),
+    skip_empty_lines: true,
+    relax_column_count: true,
+    trim: true,
+  });
+}
+
+function isYes(value) {
+  return value === true || /^(y|yes|true|1|on)$/i.test(String(value || '').trim());
+}
+
+// "45t; 43; 12" to members, where a t after an age marks a tobacco user
+function parseAges(text) {
+  const members = [];
+  for (const part of String(text).split(/[;,\s]+/).filter(Boolean)) {
+    const match = /^(\d{1,3})(t)?$/i.exec(part);
+    if (!match) return null;
+    members.push({ age: parseInt(match[1], 10), tobacco: Boolean(match[2]) });
+  }
+  return members;
+}
+
+// A household from a CSV row or a JSON object. JSON households may give
+// members as [{ age, tobacco }] instead of ages. Returns { error } when the
+// household can't be quoted.
+function normalizeQuoteInput(raw) {
+  if (!raw || typeof raw !== 'object') return { error: 'Household must be an object' };
+  const ref = raw.ref === undefined || raw.ref === null ? '' : String(raw.ref).trim();
+
+  let members;
+  if (Array.isArray(raw.members)) {
+    members = raw.members.map(m => ({
+      age: Number(m && m.age),
+      tobacco: isYes(m && m.tobacco),
+    }));
+  } else if (raw.ages !== undefined && raw.ages !== '') {
+    members = Array.isArray(raw.ages) ? raw.ages.map(age => ({ age: Number(age), tobacco: false })) : parseAges(raw.ages);
+  }
+  if (!members || members.length === 0 || members.some(m => !Number.isInteger(m.age) || m.age < 0 || m.age > 120)) {
+    return { ref, error: 'ages must list each member\'s age, e.g. 45t;43;12 (t marks tobacco use)' };
+  }
+  if (members.length > MAX_MEMBERS) {
+    return { ref, error: `A household can have at most ${MAX_MEMBERS} members` };
+  }
+
+  const zipcode = raw.zipcode ? normalizeZip(raw.zipcode) : null;
+  if (raw.zipcode && !zipcode) return { ref, error: 'zipcode must be a 5-digit ZIP code' };
+  const state = raw.state ? String(raw.state).trim().toUpperCase() : null;
+  const county = raw.county ? String(raw.county).trim() : null;
+  if (!zipcode && !(state && county)) {
+    return { ref, error: 'Give a ZIP code, or a state and county' };
+  }
+
+  let income = null;
+  if (raw.income !== undefined && raw.income !== null && raw.income !== '') {
+    income = parseIncome(String(raw.income));
+    if (income === null) return { ref, error: 'income must be a dollar amount' };
+  }
+
+  let year = null;
+  if (raw.year !== undefined && raw.year !== null && raw.year !== '') {
+    year = Number(raw.year);
+    if (!Number.isInteger(year)) return { ref, error: 'year must be a plan year like 2026' };
+  }
+
+  return { ref, zipcode, state, county, members, income, tribal: isYes(raw.tribal), year };
+}
+
+// State and county for a household, from the ZIP code when no county is
+// given. A ZIP code in several counties is quoted in the one with most of its
+// residential addresses, listed first by lookupZip.
+async function resolveLocation({ zipcode, state, county, year }) {
+  if (!zipcode) return { state, county };
+
+  const location = await lookupZip(zipcode, year);
+  if (!location) return { error: `ZIP code ${zipcode} not found` };
+  if (location.counties.length === 0) return { error: `No marketplace plans in ZIP code ${zipcode}` };
+
+  if (county) {
+    const match = location.counties.find(c => c.toLowerCase() === county.toLowerCase());
+    return match ? { state: location.state, county: match } : { error: `${county} is not a county of ZIP code ${zipcode}` };
+  }
+  return { state: location.state, county: location.counties[0] };
+}
+
+// /plans query parameters for a normalized household
+function toSearchParams(input) {
+  const params = {
+    members: input.members.map(m => ({ age: String(m.age), tobacco: m.tobacco ? 'on' : 'no' })),
+  };
+  if (input.income) params.income = String(input.income);
+  if (input.zipcode) params.zipcode = input.zipcode;
+  if (input.tribal) params.tribal = 'on';
+  if (input.year) params.year = String(input.year);
+  return params;
+}
+
+// The quote for one normalized household. Households that can't be quoted
+// get an error message instead of prices.
+async function quoteHousehold(input) {
+  const quote = { ref: input.ref, zipcode: input.zipcode || null, error: null };
+  if (input.error) return { ...quote, error: input.error };
+  if (input.year && !(await listPlanYears()).includes(input.year)) {
+    return { ...quote, error: `No plans have been imported for ${input.year}` };
+  }
+
+  const location = await resolveLocation(input);
+  if (location.error) return { ...quote, error: location.error };
+
+  const params = toSearchParams(input);
+  const result = await searchCountyPlans(location.state, location.county, params);
+  const { subsidyInfo, medicaid } = result;
+
+  Object.assign(quote, {
+    state: location.state,
+    county: location.county,
+    rating_area: result.ratingArea,
+    plan_year: result.year,
+    household: describeHousehold(parseHousehold(params)),
+    income: result.income,
+    fpl_percent: result.fplPercent ? Math.round(result.fplPercent) : null,
+    benchmark: subsidyInfo ? { plan_id: subsidyInfo.benchmarkPlanId, premium: subsidyInfo.benchmarkPremium } : null,
+    tax_credit: subsidyInfo && subsidyInfo.eligible ? subsidyInfo.subsidy : null,
+    medicaid: medicaid && medicaid.anyEligible
+      ? medicaid.members.filter(m => m.program).map(m => `Age ${m.age} likely qualifies for ${m.program === 'chip' ? 'CHIP' : 'Medicaid'}`).join('; ')
+      : null,
+    cheapest: {},
+  });
+
+  for (const plan of result.plans) {
+    if (typeof netPremium(plan) !== 'number') continue;
+    const current = quote.cheapest[plan.metal_level];
+    if (!current || netPremium(plan) < current.net_premium) {
+      quote.cheapest[plan.metal_level] = {
+        plan_id: plan.plan_id,
+        plan_marketing_name: plan.plan_marketing_name,
+        issuer_name: plan.issuer_name,
+        monthly_premium: plan.monthly_premium,
+        net_premium: netPremium(plan),
+      };
+    }
+  }
+  if (result.plans.length === 0) quote.error = `No plans found in ${location.county}, ${location.state}`;
+  return quote;
+}
+
+// Result file columns for quotes: one row per household with the cheapest
+// plan of each metal level any household was quoted
+function quoteColumns(quotes) {
+  const columns = [
+    { header: 'Ref', value: q => q.ref },
+    { header: 'ZIP code', value: q => q.zipcode },
+    { header: 'State', value: q => q.state },
+    { header: 'County', value: q => q.county },
+    { header: 'Rating area', value: q => q.rating_area },
+    { header: 'Plan year', value: q => q.plan_year },
+    { header: 'Household', value: q => q.household },
+    { header: 'Income', money: true, value: q => q.income },
+    { header: 'FPL %', value: q => q.fpl_percent },
+    { header: 'Benchmark plan ID', value: q => q.benchmark && q.benchmark.plan_id },
+    { header: 'Benchmark premium', money: true, value: q => q.benchmark && q.benchmark.premium },
+    { header: 'Monthly tax credit', money: true, value: q => q.tax_credit },
+    { header: 'Medicaid and CHIP', value: q => q.medicaid },
+  ];
+
+  const metals = METALS.filter(metal => quotes.some(q => q.cheapest && q.cheapest[metal]));
+  for (const metal of metals) {
+    const plan = q => q.cheapest && q.cheapest[metal];
+    columns.push(
+      { header: `${metal} plan ID`, value: q => plan(q) && plan(q).plan_id },
+      { header: `${metal} plan`, value: q => plan(q) && plan(q).plan_marketing_name },
+      { header: `${metal} issuer`, value: q => plan(q) && plan(q).issuer_name },
+      { header: `${metal} premium`, money: true, value: q => plan(q) && plan(q).monthly_premium },
+      { header: `${metal} after tax credit`, money: true, value: q => plan(q) && plan(q).net_premium },
+    );
+  }
+
+  columns.push({ header: 'Error', value: q => q.error });
+  return columns;
+}
+
+module.exports = {
+  MAX_HOUSEHOLDS,
+  parseQuoteCsv,
+  normalizeQuoteInput,
+  quoteHousehold,
+  quoteColumns,
+};
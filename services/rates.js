@@ -0,0 +1,143 @@
+// Premium lookups from the rates table
+const { query } = require('../db/init');
+const { getCoveredMembers } = require('./household');
+const { cached } = require('./cache');
+
+// Rate PUF age bands for an age, in the order to look them up: '15' through
+// '63' and '64 and over'. Children were one '0-14' band until plan year 2025
+// and have a band for each age since.
+function ageBands(age) {
+  if (age <= 14) return [String(age), '0-14'];
+  if (age >= 64) return ['64 and over'];
+  return [String(age)];
+}
+
+// Some PUF years label the end bands differently
+const AGE_BAND_ALIASES = {
+  '14 and under': '0-14',
+  '64 and older': '64 and over',
+};
+
+function memberRate(rate, member) {
+  const value = member.tobacco && rate.individual_tobacco_rate
+    ? rate.individual_tobacco_rate
+    : rate.individual_rate;
+  const num = parseFloat(value);
+  return isNaN(num) ? null : num;
+}
+
+// Returns { planId: { ageBand: rateRow } } for the given plans and ages in a
+// coverage year. Without a rating area the first row found for each age is used.
+async function getRatesByAge(planIds, ages, ratingArea = null, year = null) {
+  const ratesByPlan = {};
+  if (planIds.length === 0 || ages.length === 0) return ratesByPlan;
+
+  const bands = [...new Set(ages.flatMap(ageBands))];
+  for (const [alias, band] of Object.entries(AGE_BAND_ALIASES)) {
+    if (bands.includes(band)) bands.push(alias);
+  }
+
+  const rows = await cached(`rates:${year || ''}:${ratingArea || ''}:${bands.join(',')}:${planIds.join(',')}`, () => {
+    const planPlaceholders = planIds.map(() => '?').join(',');
+    const agePlaceholders = bands.map(() => '?').join(',');
+    const params = [...planIds, ...bands];
+    let sql = `
+      SELECT plan_id, age, individual_rate, individual_tobacco_rate
+      FROM rates
+      WHERE plan_id IN (${planPlaceholders}) AND age IN (${agePlaceholders})
+    `;
+    if (ratingArea) {
+      sql += ' AND rating_area = ?';
+      params.push(ratingArea);
+    }
+    if (year) {
+      sql += ' AND plan_year = ?';
+      params.push(year);
+    }
+    return query(sql, params);
+  });
+
+  for (const row of rows) {
+    const band = AGE_BAND_ALIASES[row.age] || row.age;
+    const planRates = ratesByPlan[row.plan_id] || (ratesByPlan[row.plan_id] = {});
+    if (!planRates[band]) planRates[band] = row;
+  }
+  return ratesByPlan;
+}
+
+// Where an age band sorts in a rate table: children's bands, then 15-63, then
+// 64 and over
+function ageOrder(age) {
+  const band = AGE_BAND_ALIASES[age] || age;
+  if (band === '0-14') return -1;
+  if (band === '64 and over') return 64;
+  return /^\d+$/.test(band) ? Number(band) : 100;
+}
+
+// A plan's rate for each age band in a plan year, youngest first:
+// [{ age, individual_rate, individual_tobacco_rate }]. planId is the
+// standard component ID the Rate PUF keys rates by. Without a rating area the
+// first row found for each age is used.
+async function getRateTable(planId, year, ratingArea = null) {
+  const rows = await cached(`rate-table:${year}:${ratingArea || ''}:${planId}`, () => {
+    const params = [planId, year];
+    let sql = 'SELECT age, individual_rate, individual_tobacco_rate FROM rates WHERE plan_id = ? AND plan_year = ?';
+    if (ratingArea) {
+      sql += ' AND rating_area = ?';
+      params.push(ratingArea);
+    }
+    return query(sql, params);
+  });
+
+  const byAge = new Map();
+  for (const row of rows) {
+    if (!byAge.has(row.age)) byAge.set(row.age, row);
+  }
+  return [...byAge.values()].sort((a, b) => ageOrder(a.age) - ageOrder(b.age));
+}
+
+// Sum a plan's premium over the covered members of a household.
+// Returns null if any charged member has no rate for the plan.
+function householdPremium(planRates, household) {
+  if (!planRates) return null;
+
+  const covered = getCoveredMembers(household.members);
+  if (covered.length === 0) return null;
+
+  let total = 0;
+  const members = [];
+  for (const member of covered) {
+    let premium = 0;
+    if (member.charged) {
+      const band = ageBands(member.age).find(b => planRates[b]);
+      const rate = band ? planRates[band] : null;
+      premium = rate ? memberRate(rate, member) : null;
+      if (premium === null) return null;
+    }
+    total += premium;
+    members.push({ ...member, premium });
+  }
+
+  return { total, members };
+}
+
+// Household premiums keyed by standard component ID
+async function getHouseholdPremiums(planIds, household, ratingArea = null, year = null) {
+  const ages = getCoveredMembers(household.members).map(m => m.age);
+  const ratesByPlan = await getRatesByAge(planIds, ages, ratingArea, year);
+
+  const premiums = {};
+  for (const id of planIds) {
+    const premium = householdPremium(ratesByPlan[id], household);
+    if (premium) premiums[id] = premium;
+  }
+  return premiums;
+}
+
+module.exports = {
+  ageBands,
+  getRatesByAge,
+  getRateTable,
+  householdPremium,
+  getHouseholdPremiums,
+};
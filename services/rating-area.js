@@ -0,0 +1,64 @@
+// County/ZIP to rating area resolution
+const { query, isPostgres } = require('../db/init');
+const { cached } = require('./cache');
+const { getCountyFips, getCountyName } = require('./counties');
+
+// Rating area files use bare numbers; the Rate PUF uses "Rating Area N"
+function normalizeRatingArea(value) {
+  if (value === null || value === undefined) return null;
+  const str = String(value).trim();
+  if (/^\d+$/.test(str)) return `Rating Area ${parseInt(str, 10)}`;
+  return str || null;
+}
+
+// Whether rating areas were imported with county FIPS codes
+async function hasRatingAreaFips() {
+  return cached('has-rating-area-fips', async () => {
+    const columns = isPostgres()
+      ? await query("SELECT 1 FROM information_schema.columns WHERE table_name = 'rating_areas' AND column_name = 'county_fips'")
+      : await query("SELECT 1 FROM pragma_table_info('rating_areas') WHERE name = 'county_fips'");
+    return columns.length > 0;
+  });
+}
+
+// Some states rate by 3-digit ZIP prefix, and a few split counties by
+// 5-digit ZIP, so prefer the most specific match for the user's ZIP and
+// fall back to the county-wide row. Rows are matched by county FIPS code,
+// or by name for databases imported before FIPS codes; a county that isn't
+// in the state has no rating area, even where rows cover the whole state.
+async function resolveRatingArea(state, county, zip) {
+  if (!state || !county) return null;
+  const name = await getCountyName(state, county);
+  if (!name) return null;
+  const fips = await hasRatingAreaFips() ? await getCountyFips(state, name) : null;
+
+  const rows = await cached(`rating-areas:${state}:${fips || name}`, () => (fips
+    ? query(`
+      SELECT zip_code, rating_area FROM rating_areas
+      WHERE state_code = ? AND (county_fips = ? OR (county_fips IS NULL AND county_name IS NULL))
+    `, [state, fips])
+    : query(`
+      SELECT zip_code, rating_area FROM rating_areas
+      WHERE state_code = ? AND (county_name = ? OR county_name IS NULL)
+    `, [state, name])));
+
+  if (rows.length === 0) return null;
+
+  const zipCode = zip ? String(zip).padStart(5, '0') : null;
+  if (zipCode) {
+    const exact = rows.find(r => r.zip_code === zipCode);
+    if (exact) return exact.rating_area;
+    const prefix = rows.find(r => r.zip_code && r.zip_code.length === 3 && zipCode.startsWith(r.zip_code));
+    if (prefix) return prefix.rating_area;
+  }
+
+  const countyWide = rows.filter(r => !r.zip_code);
+  const areas = [...new Set(countyWide.map(r => r.rating_area))];
+  if (areas.length === 1) return areas[0];
+
+  // County is split by ZIP and we don't know which part the user is in
+  const allAreas = [...new Set(rows.map(r => r.rating_area))];
+  return allAreas.length === 1 ? allAreas[0] : null;
+}
+
+module.exports = { normalizeRatingArea, resolveRatingArea };
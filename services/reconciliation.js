@@ -0,0 +1,98 @@
+// Premium tax credit reconciliation: advance credit from projected income
+// compared with the credit allowed on actual income at tax time
+const { getHouseholdPremiums } = require('./rates');
+const { getBenchmark } = require('./benchmark');
+const {
+  getPlanYear,
+  getApplicablePercentage,
+  estimateSubsidy,
+  getRepaymentCap,
+  parseIncome,
+} = require('./subsidy');
+
+const FILING_STATUSES = ['single', 'other'];
+
+// Monthly credit that can actually be applied to a plan: never more than its premium
+function monthlyCredit(estimate, planPremium) {
+  return Math.min(estimate.subsidy, planPremium);
+}
+
+// Credit allowed on actual income. Households who received advance credits
+// but end up under 100% FPL are still treated as eligible, paying the lowest
+// applicable percentage.
+function allowedEstimate(actualIncome, household, benchmarkPremium, options, receivedAdvance) {
+  const estimate = estimateSubsidy(actualIncome, household.size, benchmarkPremium, options);
+  if (estimate.eligible || estimate.fplPercent >= 100 || !receivedAdvance) return estimate;
+
+  const contribution = (actualIncome * getApplicablePercentage(100, options)) / 12;
+  return {
+    ...estimate,
+    eligible: true,
+    subsidy: Math.round(Math.max(0, benchmarkPremium - contribution)),
+    monthlyContribution: Math.round(contribution),
+  };
+}
+
+// Inputs from the query string: projected (defaults to income), actual,
+// filing=single|other and months of coverage
+function parseReconcileQuery(query) {
+  const projected = query.projected !== undefined && query.projected !== '' ? query.projected : query.income;
+  const months = parseInt(query.months, 10);
+  return {
+    projectedIncome: parseIncome(projected),
+    actualIncome: parseIncome(query.actual),
+    filingStatus: FILING_STATUSES.includes(query.filing) ? query.filing : 'other',
+    months: isNaN(months) ? 12 : Math.min(Math.max(months, 1), 12),
+  };
+}
+
+// Returns null when the plan has no premium for the household or the
+// county has no benchmark plan in the plan's year.
+async function reconcile({ plan, county, zipcode, ratingArea, household, projectedIncome, actualIncome, filingStatus = 'other', months = 12 }) {
+  const year = getPlanYear(plan);
+  const premiums = await getHouseholdPremiums([plan.standard_component_id], household, ratingArea, year);
+  const premium = premiums[plan.standard_component_id];
+  if (!premium) return null;
+
+  const benchmark = await getBenchmark({ state: plan.state_code, county, zipcode, ratingArea, household, year });
+  if (!benchmark) return null;
+
+  const options = { year: year || benchmark.year, state: plan.state_code };
+  const planPremium = Math.round(premium.total);
+
+  const projected = estimateSubsidy(projectedIncome, household.size, benchmark.premium, options);
+  const advanceMonthly = monthlyCredit(projected, planPremium);
+  const actual = allowedEstimate(actualIncome, household, benchmark.premium, options, advanceMonthly > 0);
+  const allowedMonthly = monthlyCredit(actual, planPremium);
+
+  const advanceCredit = advanceMonthly * months;
+  const allowedCredit = allowedMonthly * months;
+  const difference = allowedCredit - advanceCredit;
+
+  const excess = Math.max(0, -difference);
+  const repaymentCap = excess > 0
+    ? getRepaymentCap(actual.fplPercent, { year: options.year, filingStatus })
+    : null;
+  const repayment = repaymentCap === null ? excess : Math.min(excess, repaymentCap);
+
+  return {
+    year: projected.year,
+    state: plan.state_code,
+    filingStatus,
+    months,
+    planPremium,
+    benchmarkPremium: Math.round(benchmark.premium),
+    benchmarkPlanId: benchmark.planId,
+    projected: { income: projectedIncome, ...projected, monthlyCredit: advanceMonthly },
+    actual: { income: actualIncome, ...actual, monthlyCredit: allowedMonthly },
+    advanceCredit,
+    allowedCredit,
+    additionalCredit: Math.max(0, difference),
+    excessAdvance: excess,
+    repaymentCap,
+    repayment,
+    forgiven: excess - repayment,
+  };
+}
+
+module.exports = { FILING_STATUSES, parseReconcileQuery, allowedEstimate, reconcile };
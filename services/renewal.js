@@ -0,0 +1,199 @@
+// Year-over-year renewals from the CMS Plan ID Crosswalk PUF. Each year's
+// crosswalk names the plan last year's enrollees are renewed into, for the
+// whole plan or, where the issuer maps counties or ZIP codes differently,
+// for each of them. A renewal is priced for the household next to the plan
+// it replaces, with cheaper plans of the same metal level in the county.
+const { query } = require('../db/init');
+const { cached } = require('./cache');
+const { PLAN_ID, findPlanById } = require('./search');
+const { getCountyFips } = require('./counties');
+const { normalizeZip, lookupZip } = require('./zipcodes');
+const { parseHousehold } = require('./household');
+const { getHouseholdPremiums } = require('./rates');
+const { resolveRatingArea } = require('./rating-area');
+const { estimateHouseholdSubsidy } = require('./benchmark');
+const { getFPLPercent, parseIncome } = require('./subsidy');
+const { screenHousehold, marketplaceHousehold } = require('./medicaid');
+const { getVariantLabel } = require('./csr');
+const { parseAmount } = require('./money');
+const { netPremium, searchCountyPlans } = require('./plan-search');
+
+const MAX_ALTERNATIVES = 5;
+
+// Years with a crosswalk loaded, oldest first. Each is the year renewed into.
+async function listRenewalYears() {
+  return cached('renewal-years', async () => {
+    const rows = await query('SELECT DISTINCT plan_year FROM plan_crosswalk WHERE plan_year IS NOT NULL ORDER BY plan_year');
+    return rows.map(r => Number(r.plan_year));
+  });
+}
+
+// A requested renewal year that has a crosswalk, or the latest one
+async function resolveRenewalYear(value) {
+  const years = await listRenewalYears();
+  const year = Number(value);
+  if (years.includes(year)) return year;
+  return years.length > 0 ? years[years.length - 1] : null;
+}
+
+// Whether the crosswalk renews a plan into the following year
+async function hasRenewal(plan) {
+  const rows = await query(
+    'SELECT 1 FROM plan_crosswalk WHERE plan_year = ? AND previous_plan_id IN (?, ?) LIMIT 1',
+    [Number(plan.plan_year) + 1, plan.plan_id, plan.standard_component_id]
+  );
+  return rows.length > 0;
+}
+
+// The crosswalk row for where the household lives: one for its ZIP code,
+// then its county, then one for the whole plan. Rows for other places are
+// used only when they all renew into the same plan; otherwise the renewal
+// depends on the county and varies is set.
+function pickCrosswalkRow(rows, { countyFips, zipcode }) {
+  const score = row => {
+    if (zipcode && row.zip_code === zipcode) return 3;
+    if (countyFips && row.county_fips === countyFips) return 2;
+    return !row.zip_code && !row.county_fips ? 1 : 0;
+  };
+  const ranked = rows.map(row => ({ row, score: score(row) })).sort((a, b) => b.score - a.score);
+  if (ranked.length === 0) return { row: null, varies: false };
+
+  const best = ranked[0];
+  const targets = new Set(rows.map(r => r.plan_id));
+  if (best.score === 0 && targets.size > 1) return { row: null, varies: true };
+  return { row: best.row, varies: false };
+}
+
+// The plan a crosswalk ID renews into. Crosswalk IDs may omit the CSR
+// variant, so the enrollee keeps theirs where the new plan has it.
+async function getRenewalPlan(planId, year, variant) {
+  const rows = await query(
+    'SELECT * FROM plans WHERE plan_year = ? AND (plan_id = ? OR standard_component_id = ?) ORDER BY plan_id',
+    [year, planId, planId]
+  );
+  const standardId = planId.slice(0, 14);
+  return rows.find(p => p.plan_id === planId) ||
+    rows.find(p => p.plan_id === standardId + variant) ||
+    rows.find(p => p.plan_id === standardId + '-01') ||
+    rows[0] || null;
+}
+
+// Monthly premium for the household and the premium after its estimated
+// tax credit in the plan's own year
+async function pricePlan(plan, { county, zipcode, household, income }) {
+  const year = Number(plan.plan_year);
+  const state = plan.state_code;
+  const fplPercent = income ? getFPLPercent(income, household.size, { year, state }) : null;
+  const pricedHousehold = marketplaceHousehold(household, screenHousehold(household, { state, fplPercent }));
+  const ratingArea = await resolveRatingArea(state, county, zipcode);
+
+  const premiums = await getHouseholdPremiums([plan.standard_component_id], pricedHousehold, ratingArea, year);
+  const premium = premiums[plan.standard_component_id];
+  const subsidyInfo = premium
+    ? await estimateHouseholdSubsidy({ state, county, zipcode, ratingArea, household: pricedHousehold, income, year })
+    : null;
+
+  return {
+    ...plan,
+    csr_label: getVariantLabel(plan.plan_id),
+    monthly_premium: premium ? Math.round(premium.total * 100) / 100 : null,
+    subsidized_premium: premium && subsidyInfo && subsidyInfo.eligible
+      ? Math.max(0, Math.round(premium.total - subsidyInfo.subsidy))
+      : undefined,
+  };
+}
+
+function change(from, to) {
+  return from === null || from === undefined || to === null || to === undefined ? null : to - from;
+}
+
+// The county for a renewal: the one given, else the ZIP code's first county
+// with plans in the renewal year
+async function resolveCounty(state, county, zipcode, year) {
+  if (county) return county;
+  if (!zipcode) return null;
+  const location = await lookupZip(zipcode, year);
+  return location && location.state === state && location.counties.length > 0 ? location.counties[0] : null;
+}
+
+// What a plan renews into. params holds plan (the current plan ID), year
+// (the year renewed into, defaulting to the latest crosswalk), county,
+// zipcode, income and the household fields. Returns null for a malformed
+// plan ID or a plan in neither the crosswalk nor last year's plans.
+async function findRenewal(params) {
+  const planId = String(params.plan || '').trim().toUpperCase();
+  if (!PLAN_ID.test(planId)) return null;
+
+  const year = await resolveRenewalYear(params.year);
+  if (!year) return null;
+  const previousYear = year - 1;
+
+  const rows = await query(
+    'SELECT * FROM plan_crosswalk WHERE plan_year = ? AND previous_plan_id IN (?, ?) ORDER BY id',
+    [year, planId, planId.slice(0, 14)]
+  );
+  let current = await findPlanById(planId, previousYear);
+  if (current && Number(current.plan_year) !== previousYear) current = null;
+  if (!current && rows.length === 0) return null;
+
+  const state = current ? current.state_code : rows[0].state_code;
+  const zipcode = normalizeZip(params.zipcode);
+  const county = await resolveCounty(state, params.county, zipcode, year);
+  const countyFips = await getCountyFips(state, county);
+  const { row, varies } = pickCrosswalkRow(rows, { countyFips, zipcode });
+
+  const variant = planId.length > 14 ? planId.slice(14) : current ? current.plan_id.slice(14) : '-01';
+  const renewalPlan = row && row.plan_id ? await getRenewalPlan(row.plan_id, year, variant) : null;
+
+  const household = parseHousehold(params);
+  const income = parseIncome(params.income);
+  const pricing = { county, zipcode, household, income };
+  const from = current ? await pricePlan(current, pricing) : null;
+  const to = renewalPlan ? await pricePlan(renewalPlan, pricing) : null;
+
+  // Cheaper plans of the same metal level sold in the county next year
+  let alternatives = [];
+  const metal = (to || from || {}).metal_level;
+  if (county && metal) {
+    const result = await searchCountyPlans(state, county, { ...params, county, zipcode, year, metal, sort: 'price_asc' });
+    const ceiling = to ? netPremium(to) : null;
+    alternatives = result.plans
+      .filter(p => !to || p.standard_component_id !== to.standard_component_id)
+      .filter(p => ceiling === null || (netPremium(p) !== null && netPremium(p) < ceiling))
+      .slice(0, MAX_ALTERNATIVES)
+      .map(p => ({ ...p, savings: ceiling === null ? null : ceiling - netPremium(p) }));
+  }
+
+  return {
+    planId,
+    year,
+    previousYear,
+    state,
+    county,
+    zipcode,
+    household,
+    income,
+    current: from,
+    renewal: to,
+    crosswalk: row,
+    // Set even when the renewal year's plans aren't loaded
+    renewalPlanId: row ? row.plan_id : null,
+    found: rows.length > 0,
+    varies,
+    discontinued: Boolean(row && !row.plan_id),
+    samePlan: Boolean(from && to && from.standard_component_id === to.standard_component_id),
+    premiumChange: from && to ? change(netPremium(from), netPremium(to)) : null,
+    deductibleChange: from && to
+      ? change(parseAmount(from.medical_deductible_individual), parseAmount(to.medical_deductible_individual))
+      : null,
+    alternatives,
+  };
+}
+
+module.exports = {
+  listRenewalYears,
+  resolveRenewalYear,
+  hasRenewal,
+  pickCrosswalkRow,
+  findRenewal,
+};
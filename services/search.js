@@ -0,0 +1,101 @@
+// Plan search: HIOS plan ID lookup and full-text search over plan names,
+// issuers and IDs. SQLite uses the plan_search FTS5 table built on import;
+// PostgreSQL uses the plans.search_vector tsvector column. Databases
+// imported before either existed fall back to LIKE matching.
+const { query, isPostgres } = require('../db/init');
+const { coverageCondition } = require('./counties');
+const { cached } = require('./cache');
+const { resolvePlanYear } = require('./plan-years');
+
+// 12345XX0010001 (standard component) or 12345XX0010001-01 (variant)
+const PLAN_ID = /^\d{5}[A-Z]{2}\d{7}(-\d{2})?$/i;
+
+const MAX_LIMIT = 50;
+
+async function searchIndexExists() {
+  return cached('has-search-index', async () => {
+    const rows = isPostgres()
+      ? await query("SELECT 1 FROM information_schema.columns WHERE table_name = 'plans' AND column_name = 'search_vector'")
+      : await query("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'plan_search'");
+    return rows.length > 0;
+  });
+}
+
+// Words and ID fragments in the search text, lowercased
+function tokenize(text) {
+  return (String(text).toLowerCase().match(/[a-z0-9]+/g) || []).slice(0, 8);
+}
+
+// The plan for a pasted plan ID. A standard component ID resolves to its
+// on-exchange variant, or the off-exchange plan when there is none. The plan
+// is from the given year when it is offered then, else its latest year.
+async function findPlanById(text, year = null) {
+  const id = String(text || '').trim().toUpperCase();
+  if (!PLAN_ID.test(id)) return null;
+
+  const rows = await query(`
+    SELECT * FROM plans
+    WHERE plan_id = ? OR (standard_component_id = ? AND plan_id IN (?, ?))
+    ORDER BY plan_id = ? DESC, plan_id DESC, plan_year = ? DESC, plan_year DESC
+  `, [id, id, `${id}-01`, `${id}-00`, id, year]);
+  return rows[0] || null;
+}
+
+function matchClause(tokens, params) {
+  if (isPostgres()) {
+    params.push(tokens.map(t => `${t}:*`).join(' & '));
+    return "p.search_vector @@ to_tsquery('simple', ?)";
+  }
+  params.push(tokens.map(t => `"${t}"*`).join(' '));
+  return 'p.plan_id IN (SELECT plan_id FROM plan_search WHERE plan_search MATCH ?)';
+}
+
+function likeClause(tokens, params) {
+  return tokens.map(t => {
+    params.push(`%${t}%`, `%${t}%`, `%${t}%`);
+    return '(LOWER(p.plan_marketing_name) LIKE ? OR LOWER(p.issuer_name) LIKE ? OR LOWER(p.plan_id) LIKE ?)';
+  }).join(' AND ');
+}
+
+// On-exchange medical plans of a coverage year, the default year without one,
+// matching every word of the search text, scoped to a state or a county when
+// given. Name matches come before ID matches.
+async function searchPlans(text, { state, county, year, limit = 10 } = {}) {
+  const tokens = tokenize(text);
+  if (tokens.length === 0) return [];
+
+  const params = [];
+  const conditions = [
+    await searchIndexExists() ? matchClause(tokens, params) : likeClause(tokens, params),
+    'p.plan_year = ?',
+    "p.market_coverage = 'Individual'",
+    "p.plan_id LIKE '%-01'",
+    "p.metal_level NOT IN ('High', 'Low')",
+  ];
+  params.push(await resolvePlanYear(year));
+  if (state) {
+    conditions.push('p.state_code = ?');
+    params.push(state);
+  }
+  if (state && county) {
+    const coverage = await coverageCondition(state, county);
+    conditions.push(`EXISTS (
+      SELECT 1 FROM service_areas sa
+      WHERE sa.service_area_id = p.service_area_id AND sa.plan_year = p.plan_year AND ${coverage.sql}
+    )`);
+    params.push(...coverage.params);
+  }
+  params.push(`%${tokens[0]}%`, Math.min(Math.max(parseInt(limit, 10) || 10, 1), MAX_LIMIT));
+
+  return query(`
+    SELECT p.plan_id, p.standard_component_id, p.plan_marketing_name, p.issuer_name,
+      p.state_code, p.metal_level, p.plan_type, p.plan_year
+    FROM plans p
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY CASE WHEN LOWER(p.plan_marketing_name) LIKE ? THEN 0 ELSE 1 END,
+      p.plan_marketing_name, p.plan_id
+    LIMIT ?
+  `, params);
+}
+
+module.exports = { PLAN_ID, findPlanById, searchPlans };
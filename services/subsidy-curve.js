@@ -0,0 +1,94 @@
+// Premium tax credit and net premium across a range of incomes
+const { getHouseholdPremiums } = require('./rates');
+const { getBenchmark } = require('./benchmark');
+const { getFPL, getSchedule, estimateSubsidy } = require('./subsidy');
+
+// FPL percentages where cost-sharing reductions step down
+const CSR_THRESHOLDS = [150, 200, 250];
+
+const MAX_POINTS = 200;
+const DEFAULT_POINTS = 100;
+
+// Income range to plot: from the FPL up to 500% FPL (or twice the current
+// income if that is higher) unless the caller gives one.
+function resolveRange({ min, max, step, income }, fpl) {
+  const low = Number.isFinite(min) && min >= 0 ? min : Math.floor(fpl / 1000) * 1000;
+  let high = Number.isFinite(max) && max > low ? max : Math.ceil(Math.max(fpl * 5, (income || 0) * 2) / 1000) * 1000;
+  let size = Number.isFinite(step) && step > 0 ? step : Math.max(100, Math.round((high - low) / DEFAULT_POINTS / 100) * 100);
+  if ((high - low) / size > MAX_POINTS) size = Math.ceil((high - low) / MAX_POINTS);
+  if (high <= low) high = low + size;
+  return { min: low, max: high, step: size };
+}
+
+// Marker lines: 100% FPL, the CSR steps and the 400% cliff when the schedule has one
+function buildMarkers(fpl, schedule) {
+  const markers = [{ type: 'floor', fplPercent: 100, label: '100% FPL' }];
+  for (const pct of CSR_THRESHOLDS) {
+    markers.push({ type: 'csr', fplPercent: pct, label: `${pct}% FPL (CSR)` });
+  }
+  if (schedule && schedule.cliff !== null) {
+    markers.push({ type: 'cliff', fplPercent: schedule.cliff, label: `${schedule.cliff}% FPL cliff` });
+  }
+  return markers.map(m => ({ ...m, income: Math.round(fpl * m.fplPercent / 100) }));
+}
+
+// plans: rows from the plans table to plot alongside the benchmark, all
+// from the coverage year. Returns null when the county has no benchmark
+// Silver plan that year.
+async function buildSubsidyCurve({ state, county, zipcode, ratingArea, household, plans = [], year, schedule, income, range = {} }) {
+  const benchmark = await getBenchmark({ state, county, zipcode, ratingArea, household, year });
+  if (!benchmark) return null;
+
+  const options = { year: year || benchmark.year, state, schedule };
+  const tableSchedule = getSchedule(options);
+  const fpl = getFPL(household.size, options);
+  const { min, max, step } = resolveRange({ ...range, income }, fpl);
+
+  const premiums = await getHouseholdPremiums(
+    [...new Set(plans.map(p => p.standard_component_id))], household, ratingArea, year
+  );
+  const plotted = plans
+    .filter(p => premiums[p.standard_component_id])
+    .map(p => ({
+      plan_id: p.plan_id,
+      name: p.plan_marketing_name,
+      metal_level: p.metal_level,
+      premium: Math.round(premiums[p.standard_component_id].total),
+    }));
+
+  // Always include the household's own income so it can be read off exactly
+  const incomes = [];
+  for (let x = min; x <= max; x += step) incomes.push(x);
+  if (income && income > min && income < max && !incomes.includes(income)) {
+    incomes.push(income);
+    incomes.sort((a, b) => a - b);
+  }
+
+  const points = [];
+  for (const x of incomes) {
+    const estimate = estimateSubsidy(x, household.size, benchmark.premium, options);
+    points.push({
+      income: x,
+      fplPercent: estimate.fplPercent,
+      credit: estimate.subsidy,
+      benchmark: Math.max(0, Math.round(benchmark.premium - estimate.subsidy)),
+      plans: Object.fromEntries(plotted.map(p => [p.plan_id, Math.max(0, p.premium - estimate.subsidy)])),
+    });
+  }
+
+  return {
+    year: tableSchedule ? tableSchedule.year : null,
+    schedule: tableSchedule ? tableSchedule.name : null,
+    scheduleLabel: tableSchedule ? tableSchedule.label : null,
+    fpl,
+    householdSize: household.size,
+    income: income || null,
+    benchmark: { plan_id: benchmark.planId, premium: Math.round(benchmark.premium) },
+    plans: plotted,
+    markers: buildMarkers(fpl, tableSchedule),
+    range: { min, max, step },
+    points,
+  };
+}
+
+module.exports = { buildSubsidyCurve };
@@ -0,0 +1,139 @@
+// Premium tax credit estimates
+const fs = require('fs');
+const path = require('path');
+
+// Poverty guidelines and applicable percentages change every year, so they
+// are read from data/subsidy/ (keyed by coverage year) rather than hard-coded.
+// Set SUBSIDY_TABLES_DIR to load a different set of tables.
+const TABLES_DIR = process.env.SUBSIDY_TABLES_DIR || path.join(__dirname, '..', 'data', 'subsidy');
+
+function loadTable(file) {
+  const table = JSON.parse(fs.readFileSync(path.join(TABLES_DIR, file), 'utf8'));
+  delete table._comment;
+  return table;
+}
+
+const FPL_TABLE = loadTable('fpl.json');
+const PERCENTAGE_TABLE = loadTable('applicable-percentages.json');
+const REPAYMENT_TABLE = loadTable('repayment-caps.json');
+
+// Alaska and Hawaii publish their own, higher poverty guidelines
+function getStateGroup(state) {
+  return state === 'AK' || state === 'HI' ? state : 'contiguous';
+}
+
+// Coverage year of a plan, from its plan year or else its effective date
+// ("2026-01-01" or "1/1/2026")
+function getPlanYear(plan) {
+  if (plan && plan.plan_year) return Number(plan.plan_year);
+  const match = /(\d{4})/.exec((plan && plan.plan_effective_date) || '');
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Latest table year at or before the coverage year. Years newer than the
+// tables fall back to the most recent one until the data files are updated.
+function resolveYear(table, year) {
+  const years = Object.keys(table).map(Number).sort((a, b) => a - b);
+  if (!year) return years[years.length - 1];
+  const earlier = years.filter(y => y <= year);
+  return earlier.length > 0 ? earlier[earlier.length - 1] : years[0];
+}
+
+function getFPL(householdSize, { year, state } = {}) {
+  const guidelines = FPL_TABLE[resolveYear(FPL_TABLE, year)][getStateGroup(state)];
+  return guidelines.base + (Math.max(0, householdSize - 1) * guidelines.perPerson);
+}
+
+function getFPLPercent(income, householdSize, options = {}) {
+  const fpl = getFPL(householdSize, options);
+  return (income / fpl) * 100;
+}
+
+// Applicable percentage schedule for a coverage year. Without a name the
+// schedule in force that year is used; returns null if the year has no
+// schedule by that name.
+function getSchedule({ year, schedule } = {}) {
+  const tableYear = resolveYear(PERCENTAGE_TABLE, year);
+  const entry = PERCENTAGE_TABLE[tableYear];
+  const name = schedule || entry.default;
+  if (!entry.schedules[name]) return null;
+  return { year: tableYear, name, ...entry.schedules[name] };
+}
+
+// Share of income a household is expected to pay toward the benchmark plan,
+// interpolated linearly within each band. Null when not eligible.
+function getApplicablePercentage(fplPercent, options = {}) {
+  const schedule = getSchedule(options);
+  if (!schedule || fplPercent < 100) return null;
+  if (schedule.cliff !== null && fplPercent > schedule.cliff) return null;
+
+  const band = schedule.bands.find(b =>
+    fplPercent >= b.min && (b.max === null || fplPercent <= b.max)
+  );
+  if (!band) return null;
+  if (band.max === null || band.start === band.end) return band.start;
+  return band.start + ((fplPercent - band.min) / (band.max - band.min)) * (band.end - band.start);
+}
+
+// options: { year, state, schedule }
+function estimateSubsidy(income, householdSize, benchmarkPremium, options = {}) {
+  const schedule = getSchedule(options);
+  const fplPercent = getFPLPercent(income, householdSize, options);
+  const applicablePercent = getApplicablePercentage(fplPercent, options);
+  const tables = {
+    year: schedule ? schedule.year : null,
+    schedule: schedule ? schedule.name : null,
+    scheduleLabel: schedule ? schedule.label : null,
+  };
+
+  // Not eligible below 100% FPL, or above the cliff where the schedule has one
+  if (applicablePercent === null) {
+    return {
+      subsidy: 0,
+      fplPercent: Math.round(fplPercent),
+      eligible: false,
+      monthlyContribution: fplPercent < 100 ? 0 : Math.round(benchmarkPremium),
+      ...tables
+    };
+  }
+
+  const monthlyContribution = (income * applicablePercent) / 12;
+  const subsidy = Math.max(0, benchmarkPremium - monthlyContribution);
+
+  return {
+    subsidy: Math.round(subsidy),
+    fplPercent: Math.round(fplPercent),
+    eligible: true,
+    monthlyContribution: Math.round(monthlyContribution),
+    ...tables
+  };
+}
+
+// Most excess advance credit a household repays at tax time, or null when
+// it must be repaid in full. Households under 100% FPL who received advance
+// credits are treated as being in the lowest band.
+function getRepaymentCap(fplPercent, { year, filingStatus } = {}) {
+  const bands = REPAYMENT_TABLE[resolveYear(REPAYMENT_TABLE, year)].bands;
+  const band = bands.find(b => fplPercent <= b.maxFpl);
+  if (!band) return null;
+  return filingStatus === 'single' ? band.single : band.other;
+}
+
+// Income comes from form fields that may include thousands separators
+function parseIncome(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const income = parseInt(String(value).replace(/[$,]/g, ''), 10);
+  return isNaN(income) ? null : income;
+}
+
+module.exports = {
+  getStateGroup,
+  getPlanYear,
+  getFPL,
+  getFPLPercent,
+  getSchedule,
+  getApplicablePercentage,
+  estimateSubsidy,
+  getRepaymentCap,
+  parseIncome,
+};
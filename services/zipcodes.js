@@ -0,0 +1,165 @@
+// ZIP code to state and county lookup. Imports with the HUD ZIP-County
+// crosswalk resolve ZIP codes to county FIPS codes in the zip_counties
+// table, weighted by each county's share of the ZIP's residential
+// addresses. Otherwise county names from data/zipcodes.json are matched
+// against service area county names.
+const fs = require('fs');
+const path = require('path');
+const { query, isPostgres } = require('../db/init');
+const { cached } = require('./cache');
+
+// Load zip code data
+let zipCodeData = [];
+const zipPath = path.join(__dirname, '..', 'data', 'zipcodes.json');
+if (fs.existsSync(zipPath)) {
+  zipCodeData = JSON.parse(fs.readFileSync(zipPath, 'utf-8'));
+  console.log(`Loaded ${zipCodeData.length} zip codes`);
+}
+
+// Create a map for faster lookup
+const zipCodeMap = new Map();
+for (const entry of zipCodeData) {
+  const zip = String(entry.zip_code).padStart(5, '0');
+  if (!zipCodeMap.has(zip)) {
+    zipCodeMap.set(zip, []);
+  }
+  zipCodeMap.get(zip).push({
+    state: entry.state,
+    county: entry.county,
+    city: entry.city
+  });
+}
+
+function normalizeZip(zip) {
+  const text = String(zip || '').trim();
+  return /^\d{3,5}$/.test(text) ? text.padStart(5, '0') : null;
+}
+
+async function crosswalkExists() {
+  return cached('has-zip-counties', async () => {
+    const rows = isPostgres()
+      ? await query("SELECT 1 FROM information_schema.tables WHERE table_name = 'zip_counties'")
+      : await query("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'zip_counties'");
+    return rows.length > 0;
+  });
+}
+
+// Crosswalk rows for a ZIP code, most residential addresses first, each
+// flagged with whether an individual market plan is sold there in the year,
+// or in any year without one: a service area covering the whole state, the
+// whole county, or the part of the county with this ZIP code
+async function crosswalkCounties(zip, year) {
+  const params = [];
+  let yearFilter = '';
+  if (year) {
+    yearFilter = 'AND sa.plan_year = ?';
+    params.push(year);
+  }
+  params.push(`%,${zip},%`, zip);
+  return query(`
+    SELECT z.state_code, z.county_fips, z.city, z.res_ratio, c.county_name,
+      CASE WHEN EXISTS (
+        SELECT 1 FROM service_areas sa
+        JOIN plans p ON p.service_area_id = sa.service_area_id AND p.state_code = sa.state_code
+          AND p.plan_year = sa.plan_year
+        WHERE sa.state_code = z.state_code AND p.market_coverage = 'Individual' ${yearFilter}
+          AND (sa.cover_entire_state = 'Yes' OR (sa.county_fips = z.county_fips
+            AND (sa.partial_county IS NULL OR sa.partial_county <> 'Yes' OR (',' || sa.zip_codes || ',') LIKE ?)))
+      ) THEN 1 ELSE 0 END AS has_plans
+    FROM zip_counties z
+    LEFT JOIN counties c ON c.county_fips = z.county_fips
+    WHERE z.zip_code = ?
+    ORDER BY z.res_ratio DESC, c.county_name
+  `, params);
+}
+
+// County names from zipcodes.json matched to service area county names
+async function matchCountyNames(state, entries, year) {
+  const uniqueCounties = [...new Set(entries.map(e => e.county))];
+
+  const params = [state];
+  let yearFilter = '';
+  if (year) {
+    yearFilter = 'AND sa.plan_year = ?';
+    params.push(year);
+  }
+  const serviceAreaCounties = await query(`
+    SELECT DISTINCT sa.county_name
+    FROM service_areas sa
+    JOIN plans p ON p.service_area_id = sa.service_area_id AND p.state_code = sa.state_code
+      AND p.plan_year = sa.plan_year
+    WHERE sa.state_code = ? AND sa.county_name IS NOT NULL AND p.market_coverage = 'Individual' ${yearFilter}
+  `, params);
+  const countyNames = serviceAreaCounties.map(r => r.county_name);
+
+  const availableCounties = [];
+  for (const zipCounty of uniqueCounties) {
+    if (countyNames.includes(zipCounty)) {
+      availableCounties.push(zipCounty);
+      continue;
+    }
+
+    const zipCountyLower = zipCounty.toLowerCase();
+    for (const saCounty of countyNames) {
+      const saCountyLower = saCounty.toLowerCase();
+      const saCountyBase = saCountyLower.replace(/ county| municipality| borough| parish| census area| city and borough/gi, '').trim();
+
+      if (saCountyLower.startsWith(zipCountyLower) ||
+          saCountyLower.includes(zipCountyLower + ' ') ||
+          saCountyBase === zipCountyLower) {
+        availableCounties.push(saCounty);
+        break;
+      }
+    }
+  }
+  return [...new Set(availableCounties)];
+}
+
+// { state, city, cities, counties, details } for a ZIP code, or null for an
+// unknown ZIP. counties are the names of the ZIP's counties in its main state
+// with individual market plans, most residential addresses first. details
+// lists every county of the ZIP as { name, fips, state, share, hasPlans },
+// where share is the fraction of the ZIP's residential addresses. With a
+// year, counties have plans only if they are sold that year.
+async function lookupZip(zip, year = null) {
+  const code = normalizeZip(zip);
+  return code ? cached(`zip:${year || ''}:${code}`, () => resolveZip(code, year)) : null;
+}
+
+async function resolveZip(code, year) {
+  const entries = zipCodeMap.get(code) || [];
+  const rows = await crosswalkExists() ? await crosswalkCounties(code, year) : [];
+
+  if (rows.length > 0) {
+    const state = rows[0].state_code;
+    const cities = [...new Set([...rows.map(r => r.city), ...entries.map(e => e.city)].filter(Boolean))];
+    const details = rows.map(r => ({
+      name: r.county_name,
+      fips: r.county_fips,
+      state: r.state_code,
+      share: r.res_ratio === null ? null : Number(r.res_ratio),
+      hasPlans: Boolean(Number(r.has_plans)),
+    }));
+    return {
+      state,
+      city: cities[0] || null,
+      cities,
+      counties: [...new Set(details.filter(d => d.state === state && d.hasPlans && d.name).map(d => d.name))],
+      details,
+    };
+  }
+
+  if (entries.length === 0) return null;
+
+  const state = entries[0].state;
+  const counties = await matchCountyNames(state, entries, year);
+  return {
+    state,
+    city: entries[0].city,
+    cities: [...new Set(entries.map(e => e.city).filter(Boolean))],
+    counties,
+    details: counties.map(name => ({ name, fips: null, state, share: null, hasPlans: true })),
+  };
+}
+
+module.exports = { normalizeZip, lookupZip };
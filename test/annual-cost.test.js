@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseUsage, toUsageParams, estimateAnnualCost } = require('../services/annual-cost');
+
+const plan = {
+  medical_deductible_individual: '$1,000',
+  medical_deductible_family: '$1,000 per person | $2,000 per group',
+  drug_deductible_individual: 'Included in Medical',
+  medical_moop_individual: '$3,000',
+  medical_moop_family: '$3,000 per person | $4,000 per group',
+};
+const benefits = [
+  {
+    benefit_name: 'Primary Care Visit to Treat an Injury or Illness',
+    copay_in_network: '$30',
+    coinsurance_in_network: 'Not Applicable',
+  },
+  {
+    benefit_name: 'Inpatient Hospital Services (e.g., Hospital Stay)',
+    copay_in_network: 'No Charge after deductible',
+    coinsurance_in_network: '20% Coinsurance after deductible',
+  },
+];
+const household = (...ages) => ({
+  members: ages.map(age => ({ age, tobacco: false, applying: true })),
+  size: ages.length,
+});
+const usage = counts => ({ key: 'custom', label: 'Custom', counts });
+
+test('copays apply without the deductible', () => {
+  const cost = estimateAnnualCost(plan, benefits, household(40), usage({ primary: 2 }), 100);
+  assert.equal(cost.outOfPocket, 60);
+  assert.equal(cost.premiums, 1200);
+  assert.equal(cost.total, 1260);
+});
+
+test('spending stops at the out-of-pocket maximum', () => {
+  const cost = estimateAnnualCost(plan, benefits, household(40), usage({ primary: 2, inpatient: 1 }), 100);
+  assert.equal(cost.outOfPocket, 3000);
+  assert.deepEqual(cost.services.map(s => [s.key, s.cost]), [['primary', 60], ['inpatient', 2940]]);
+});
+
+test('the family out-of-pocket maximum caps a household', () => {
+  const cost = estimateAnnualCost(plan, benefits, household(40, 38), usage({ inpatient: 1 }), 0);
+  assert.equal(cost.outOfPocket, 4000);
+});
+
+test('uncovered services are paid in full outside the out-of-pocket maximum', () => {
+  const cost = estimateAnnualCost(plan, benefits, household(40), usage({ inpatient: 1, generic: 2 }), 0);
+  assert.equal(cost.notCovered, 50);
+  assert.equal(cost.outOfPocket, 3050);
+});
+
+test('the total is unknown without a premium', () => {
+  const cost = estimateAnnualCost(plan, benefits, household(40), usage({ primary: 1 }), null);
+  assert.equal(cost.premiums, null);
+  assert.equal(cost.total, null);
+  assert.equal(cost.outOfPocket, 30);
+});
+
+test('parseUsage reads profiles and clamps custom counts', () => {
+  assert.equal(parseUsage({ usage: 'medium' }).label, 'Medium');
+  assert.equal(parseUsage({ usage: 'extreme' }), null);
+  assert.deepEqual(
+    parseUsage({ usage: 'custom', custom: { primary: '4', generic: '1000', er: '0', dental: '2' } }).counts,
+    { primary: 4, generic: 365 }
+  );
+});
+
+test('custom usage round-trips through query parameters', () => {
+  const custom = parseUsage({ usage: 'custom', custom: { primary: '4', lab: '2' } });
+  const params = Object.fromEntries(toUsageParams(custom));
+  assert.deepEqual(parseUsage({
+    usage: params.usage,
+    custom: { primary: params['custom[primary]'], lab: params['custom[lab]'] },
+  }), custom);
+});
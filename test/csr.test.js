@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getVariantSuffix, getVariantLabel, getCsrVariant } = require('../services/csr');
+
+test('Silver plans get a CSR variant between 100% and 250% FPL', () => {
+  assert.equal(getCsrVariant(99, 'Silver'), '01');
+  assert.equal(getCsrVariant(100, 'Silver'), '06');
+  assert.equal(getCsrVariant(150, 'Silver'), '06');
+  assert.equal(getCsrVariant(150.5, 'Silver'), '05');
+  assert.equal(getCsrVariant(200, 'Silver'), '05');
+  assert.equal(getCsrVariant(250, 'Silver'), '04');
+  assert.equal(getCsrVariant(250.5, 'Silver'), '01');
+  assert.equal(getCsrVariant(null, 'Silver'), '01');
+});
+
+test('other metal levels keep the standard plan', () => {
+  assert.equal(getCsrVariant(120, 'Gold'), '01');
+  assert.equal(getCsrVariant(120, 'Bronze'), '01');
+});
+
+test('tribal members get zero cost sharing up to 300% FPL on any metal level', () => {
+  assert.equal(getCsrVariant(100, 'Bronze', true), '02');
+  assert.equal(getCsrVariant(300, 'Gold', true), '02');
+  assert.equal(getCsrVariant(300.5, 'Silver', true), '03');
+  assert.equal(getCsrVariant(90, 'Silver', true), '03');
+  assert.equal(getCsrVariant(null, 'Silver', true), '03');
+});
+
+test('variant suffixes and labels come from the plan ID', () => {
+  assert.equal(getVariantSuffix('11111TX0010001-04'), '04');
+  assert.equal(getVariantSuffix('11111TX0010001'), null);
+  assert.equal(getVariantLabel('11111TX0010001-06'), 'Cost-sharing reduction (94% actuarial value)');
+  assert.equal(getVariantLabel('11111TX0010001-01'), null);
+});
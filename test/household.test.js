@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseHousehold, getCoveredMembers, toQueryParams } = require('../services/household');
+
+const member = (age, applying = true) => ({ age, tobacco: false, applying });
+const charged = members => getCoveredMembers(members).map(m => [m.age, m.charged]);
+
+test('only the three oldest children under 21 are charged', () => {
+  const members = [40, 38, 20, 15, 12, 8].map(age => member(age));
+  assert.deepEqual(charged(members), [
+    [40, true], [38, true], [20, true], [15, true], [12, true], [8, false],
+  ]);
+});
+
+test('members 21 and over are always charged', () => {
+  const members = [21, 21, 19, 18, 17, 16].map(age => member(age));
+  assert.deepEqual(charged(members), [
+    [21, true], [21, true], [19, true], [18, true], [17, true], [16, false],
+  ]);
+});
+
+test('children who are not applying neither appear nor use up a charged place', () => {
+  const members = [member(40), member(19, false), member(15), member(12), member(8), member(5)];
+  assert.deepEqual(charged(members), [
+    [40, true], [15, true], [12, true], [8, true], [5, false],
+  ]);
+});
+
+test('parseHousehold takes the last value of repeated checkbox fields', () => {
+  const household = parseHousehold({
+    members: [
+      { age: '45', tobacco: ['no', 'on'], applying: ['no', 'yes'] },
+      { age: '12', applying: 'no' },
+    ],
+  });
+  assert.deepEqual(household, {
+    members: [
+      { age: 45, tobacco: true, applying: true },
+      { age: 12, tobacco: false, applying: false },
+    ],
+    size: 2,
+    tribal: false,
+  });
+});
+
+test('parseHousehold reads older links as one applicant in a household of that size', () => {
+  const household = parseHousehold({ age: '50', tobacco: 'on', household: '3' });
+  assert.deepEqual(household, {
+    members: [{ age: 50, tobacco: true, applying: true }],
+    size: 3,
+    tribal: false,
+  });
+});
+
+test('toQueryParams round-trips through parseHousehold', () => {
+  const household = {
+    members: [member(40), { age: 38, tobacco: true, applying: true }, member(10, false)],
+    size: 3,
+    tribal: true,
+  };
+  const params = Object.fromEntries(toQueryParams(household));
+  const members = [0, 1, 2].map(i => ({
+    age: params[`members[${i}][age]`],
+    tobacco: params[`members[${i}][tobacco]`],
+    applying: params[`members[${i}][applying]`],
+  }));
+  assert.deepEqual(parseHousehold({ members, tribal: params.tribal }), household);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { screenHousehold, marketplaceHousehold } = require('../services/medicaid');
+
+const household = (...ages) => ({
+  members: ages.map(age => ({ age, tobacco: false, applying: true })),
+  size: ages.length,
+});
+const programs = screening => screening.members.map(m => m.program);
+
+test('children are screened against their age band', () => {
+  assert.deepEqual(programs(screenHousehold(household(30, 0, 5), { state: 'TX', fplPercent: 150 })), [null, 'medicaid', 'chip']);
+  assert.deepEqual(programs(screenHousehold(household(30, 5), { state: 'TX', fplPercent: 210 })), [null, null]);
+});
+
+test('adults qualify up to the expansion limit', () => {
+  assert.deepEqual(programs(screenHousehold(household(30), { state: 'CA', fplPercent: 138 })), ['medicaid']);
+  assert.deepEqual(programs(screenHousehold(household(30), { state: 'CA', fplPercent: 139 })), [null]);
+});
+
+test('parents are screened against the higher of the adult and parent limits', () => {
+  assert.deepEqual(programs(screenHousehold(household(30, 10), { state: 'CT', fplPercent: 150 })), ['medicaid', 'medicaid']);
+  assert.deepEqual(programs(screenHousehold(household(30), { state: 'CT', fplPercent: 150 })), [null]);
+});
+
+test('adults 65 and over are not screened', () => {
+  assert.deepEqual(programs(screenHousehold(household(65), { state: 'CA', fplPercent: 50 })), [null]);
+});
+
+test('adults under 100% FPL in a non-expansion state are in the coverage gap', () => {
+  const screening = screenHousehold(household(30), { state: 'TX', fplPercent: 80 });
+  assert.equal(screening.coverageGap, true);
+  assert.equal(screening.anyEligible, false);
+  assert.equal(screenHousehold(household(30), { state: 'TX', fplPercent: 100 }).coverageGap, false);
+  assert.equal(screenHousehold(household(30), { state: 'CA', fplPercent: 80 }).coverageGap, false);
+});
+
+test('members who are not applying are not screened', () => {
+  const h = household(30, 5);
+  h.members[1].applying = false;
+  assert.deepEqual(programs(screenHousehold(h, { state: 'TX', fplPercent: 150 })), [null, null]);
+});
+
+test('no screening without state rules or income', () => {
+  assert.equal(screenHousehold(household(30), { state: 'PR', fplPercent: 50 }), null);
+  assert.equal(screenHousehold(household(30), { state: 'TX', fplPercent: null }), null);
+});
+
+test('marketplaceHousehold drops eligible members but keeps household size', () => {
+  const h = household(30, 5);
+  const priced = marketplaceHousehold(h, screenHousehold(h, { state: 'TX', fplPercent: 150 }));
+  assert.deepEqual(priced.members.map(m => m.applying), [true, false]);
+  assert.equal(priced.size, 2);
+  assert.equal(marketplaceHousehold(h, null), h);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseReconcileQuery, allowedEstimate } = require('../services/reconciliation');
+
+const single = { members: [{ age: 40, tobacco: false, applying: true }], size: 1 };
+
+test('projected income defaults to the search income', () => {
+  assert.deepEqual(parseReconcileQuery({ income: '40,000', actual: '52000' }), {
+    projectedIncome: 40000,
+    actualIncome: 52000,
+    filingStatus: 'other',
+    months: 12,
+  });
+  assert.equal(parseReconcileQuery({ income: '40000', projected: '35000' }).projectedIncome, 35000);
+});
+
+test('filing status and months are limited to valid values', () => {
+  assert.equal(parseReconcileQuery({ filing: 'single' }).filingStatus, 'single');
+  assert.equal(parseReconcileQuery({ filing: 'joint' }).filingStatus, 'other');
+  assert.equal(parseReconcileQuery({ months: '0' }).months, 1);
+  assert.equal(parseReconcileQuery({ months: '13' }).months, 12);
+  assert.equal(parseReconcileQuery({ months: 'x' }).months, 12);
+});
+
+test('households under 100% FPL who received advance credits keep the lowest percentage', () => {
+  const estimate = allowedEstimate(12000, single, 500, { year: 2026 }, true);
+  assert.equal(estimate.eligible, true);
+  assert.equal(estimate.monthlyContribution, 21);
+  assert.equal(estimate.subsidy, 479);
+});
+
+test('households under 100% FPL without advance credits are not eligible', () => {
+  const estimate = allowedEstimate(12000, single, 500, { year: 2026 }, false);
+  assert.equal(estimate.eligible, false);
+  assert.equal(estimate.subsidy, 0);
+});
+
+test('actual income above the cliff allows no credit', () => {
+  const estimate = allowedEstimate(70000, single, 500, { year: 2026 }, true);
+  assert.equal(estimate.eligible, false);
+  assert.equal(estimate.subsidy, 0);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pickCrosswalkRow } = require('../services/renewal');
+const { crosswalkYears } = require('../db/import-report');
+
+test('crosswalk years are read from the PlanID_ header columns, earliest first', () => {
+  const header = ['State', 'PlanID_2026', 'IssuerID_2025', 'planid_2025', 'ZipCode', 'PlanID_20266'];
+  assert.deepEqual(crosswalkYears(header), [
+    { key: 'planid_2025', year: 2025 },
+    { key: 'PlanID_2026', year: 2026 },
+  ]);
+  assert.deepEqual(crosswalkYears(['State', 'PlanID']), []);
+});
+
+const rows = [
+  { plan_id: 'A', zip_code: null, county_fips: null },
+  { plan_id: 'B', zip_code: null, county_fips: '48453' },
+  { plan_id: 'C', zip_code: '78701', county_fips: '48453' },
+];
+
+test('the crosswalk row for a ZIP code beats its county and the whole plan', () => {
+  assert.equal(pickCrosswalkRow(rows, { countyFips: '48453', zipcode: '78701' }).row.plan_id, 'C');
+  assert.equal(pickCrosswalkRow(rows, { countyFips: '48453', zipcode: '78702' }).row.plan_id, 'B');
+  assert.equal(pickCrosswalkRow(rows, { countyFips: '48491', zipcode: null }).row.plan_id, 'A');
+});
+
+test('rows for other places are used only when they renew into one plan', () => {
+  const elsewhere = [
+    { plan_id: 'B', zip_code: null, county_fips: '48453' },
+    { plan_id: 'C', zip_code: null, county_fips: '48491' },
+  ];
+  assert.deepEqual(pickCrosswalkRow(elsewhere, { countyFips: '48001' }), { row: null, varies: true });
+
+  const same = elsewhere.map(r => ({ ...r, plan_id: 'B' }));
+  assert.equal(pickCrosswalkRow(same, { countyFips: '48001' }).row.plan_id, 'B');
+  assert.deepEqual(pickCrosswalkRow([], { countyFips: '48001' }), { row: null, varies: false });
+});
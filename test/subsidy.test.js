@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getFPL,
+  getApplicablePercentage,
+  estimateSubsidy,
+  getRepaymentCap,
+  parseIncome,
+} = require('../services/subsidy');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('the contiguous states use the standard poverty guidelines', () => {
+  assert.equal(getFPL(1, { year: 2026, state: 'TX' }), 15650);
+  assert.equal(getFPL(3, { year: 2026, state: 'TX' }), 26650);
+  assert.equal(getFPL(3, { year: 2026 }), 26650);
+});
+
+test('Alaska and Hawaii use their own poverty guidelines', () => {
+  assert.equal(getFPL(1, { year: 2026, state: 'AK' }), 19550);
+  assert.equal(getFPL(3, { year: 2026, state: 'AK' }), 33310);
+  assert.equal(getFPL(1, { year: 2026, state: 'HI' }), 17990);
+  assert.equal(getFPL(3, { year: 2026, state: 'HI' }), 30650);
+  assert.equal(getFPL(1, { year: 2025, state: 'AK' }), 18810);
+});
+
+test('years newer than the tables use the latest guidelines', () => {
+  assert.equal(getFPL(1, { year: 2030, state: 'HI' }), 17990);
+});
+
+test('the 2026 standard schedule has a cliff at 400% FPL', () => {
+  close(getApplicablePercentage(400, { year: 2026 }), 0.0996);
+  assert.equal(getApplicablePercentage(400.5, { year: 2026 }), null);
+  assert.equal(getApplicablePercentage(600, { year: 2026, schedule: 'standard' }), null);
+});
+
+test('enhanced credits have no cliff', () => {
+  close(getApplicablePercentage(400.5, { year: 2026, schedule: 'enhanced' }), 0.085);
+  close(getApplicablePercentage(600, { year: 2026, schedule: 'enhanced' }), 0.085);
+  close(getApplicablePercentage(600, { year: 2025 }), 0.085);
+});
+
+test('applicable percentages interpolate within a band', () => {
+  close(getApplicablePercentage(175, { year: 2026 }), 0.05395);
+  close(getApplicablePercentage(175, { year: 2026, schedule: 'enhanced' }), 0.01);
+});
+
+test('no credit below 100% FPL or for an unknown schedule', () => {
+  assert.equal(getApplicablePercentage(99, { year: 2026 }), null);
+  assert.equal(getApplicablePercentage(99, { year: 2026, schedule: 'enhanced' }), null);
+  assert.equal(getApplicablePercentage(200, { year: 2025, schedule: 'standard' }), null);
+});
+
+test('estimateSubsidy above the cliff pays the full benchmark', () => {
+  const estimate = estimateSubsidy(63000, 1, 600, { year: 2026 });
+  assert.equal(estimate.eligible, false);
+  assert.equal(estimate.subsidy, 0);
+  assert.equal(estimate.fplPercent, 403);
+  assert.equal(estimate.monthlyContribution, 600);
+  assert.equal(estimate.schedule, 'standard');
+});
+
+test('estimateSubsidy above 400% FPL with enhanced credits caps the contribution', () => {
+  const estimate = estimateSubsidy(63000, 1, 600, { year: 2026, schedule: 'enhanced' });
+  assert.equal(estimate.eligible, true);
+  assert.equal(estimate.monthlyContribution, 446);
+  assert.equal(estimate.subsidy, 154);
+  assert.equal(estimate.schedule, 'enhanced');
+});
+
+test('estimateSubsidy below 100% FPL expects no contribution', () => {
+  const estimate = estimateSubsidy(12000, 1, 600, { year: 2026 });
+  assert.equal(estimate.eligible, false);
+  assert.equal(estimate.monthlyContribution, 0);
+});
+
+test('repayment caps apply up to and including each band limit', () => {
+  const options = { year: 2025, filingStatus: 'single' };
+  assert.equal(getRepaymentCap(50, options), 375);
+  assert.equal(getRepaymentCap(200, options), 375);
+  assert.equal(getRepaymentCap(200.5, options), 975);
+  assert.equal(getRepaymentCap(300, options), 975);
+  assert.equal(getRepaymentCap(400, options), 1625);
+  assert.equal(getRepaymentCap(400.5, options), null);
+});
+
+test('repayment caps for other filing statuses', () => {
+  assert.equal(getRepaymentCap(200, { year: 2025 }), 750);
+  assert.equal(getRepaymentCap(300, { year: 2024, filingStatus: 'other' }), 1800);
+  assert.equal(getRepaymentCap(400, { year: 2025, filingStatus: 'other' }), 3250);
+});
+
+test('excess credits are repaid in full from 2026', () => {
+  assert.equal(getRepaymentCap(150, { year: 2026, filingStatus: 'single' }), null);
+  assert.equal(getRepaymentCap(150, { year: 2027 }), null);
+});
+
+test('parseIncome accepts separators and rejects blanks', () => {
+  assert.equal(parseIncome('$45,000'), 45000);
+  assert.equal(parseIncome(''), null);
+  assert.equal(parseIncome('abc'), null);
+});